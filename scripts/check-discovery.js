@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { isPublished } from './lib/hotel-stats.js';
+
+// Replays discovery offline from fixtures/discovery in a throwaway copy of the project, and checks
+// it adds exactly the expected candidates without touching curated hotels or their price history.
+// The fixtures are synthetic: hand-written in the format fetch-hotels.js --record writes, not
+// recordings of live traffic.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '..');
+const fixturesDir = path.join(rootDir, 'fixtures', 'discovery');
+const expected = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'expected.json'), 'utf8'));
+
+const errors = [];
+
+function report(id, message) {
+  errors.push(`${id}: ${message}`);
+}
+
+function prepareCopy() {
+  const copyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotelsofathens-discovery-'));
+  for (const dir of ['scripts', 'data']) {
+    fs.cpSync(path.join(rootDir, dir), path.join(copyDir, dir), { recursive: true });
+  }
+  if (fs.existsSync(path.join(rootDir, 'node_modules'))) {
+    fs.symlinkSync(path.join(rootDir, 'node_modules'), path.join(copyDir, 'node_modules'), 'dir');
+  }
+  return copyDir;
+}
+
+// Run a script in the copy; API keys are blanked so nothing can reach the live services
+function run(copyDir, script, args = []) {
+  execFileSync(process.execPath, [path.join(copyDir, 'scripts', script), ...args], {
+    cwd: copyDir,
+    stdio: ['ignore', 'ignore', 'inherit'],
+    env: { ...process.env, SERPER_API_KEY: '', JINA_API_KEY: '' }
+  });
+}
+
+function readData(copyDir) {
+  const read = name => JSON.parse(fs.readFileSync(path.join(copyDir, 'data', name), 'utf8'));
+  return { hotels: read('all-hotels.json').hotels, history: read('price-history.json') };
+}
+
+function withoutSourceUrl(hotel) {
+  const { sourceUrl, ...provenance } = hotel.provenance || {};
+  return JSON.stringify({ ...hotel, provenance });
+}
+
+function compare(before, after) {
+  const beforeById = new Map(before.hotels.map(hotel => [hotel.id, hotel]));
+  const afterById = new Map(after.hotels.map(hotel => [hotel.id, hotel]));
+
+  const added = after.hotels.filter(hotel => !beforeById.has(hotel.id));
+  for (const hotel of added) {
+    if (!expected.candidates.includes(hotel.id)) report(hotel.id, 'unexpected candidate');
+    if (isPublished(hotel)) report(hotel.id, 'candidate was published without review');
+  }
+  for (const id of expected.candidates) {
+    if (!added.some(hotel => hotel.id === id)) report(id, 'expected candidate was not added');
+  }
+
+  for (const hotel of before.hotels) {
+    const replayed = afterById.get(hotel.id);
+    if (!replayed) {
+      report(hotel.id, 'curated hotel disappeared');
+      continue;
+    }
+    if (withoutSourceUrl(replayed) !== withoutSourceUrl(hotel)) report(hotel.id, 'discovery changed a curated hotel');
+    const noted = replayed.provenance?.sourceUrl?.url;
+    if (noted !== expected.noted[hotel.id]) report(hotel.id, `provenance.sourceUrl is ${noted || 'missing'}, expected ${expected.noted[hotel.id] || 'none'}`);
+  }
+
+  for (const hotel of added) {
+    if (after.history.hotels[hotel.id]) report(hotel.id, 'candidate has price history');
+  }
+}
+
+function main() {
+  console.log('🧪 Replaying discovery from fixtures/discovery...');
+  const copyDir = prepareCopy();
+  try {
+    try {
+      // Seed-only run first, so the comparison only sees what discovery changed
+      run(copyDir, 'fetch-hotels.js');
+      const before = readData(copyDir);
+      run(copyDir, 'fetch-hotels.js', ['--discover', '--fixtures', fixturesDir]);
+      compare(before, readData(copyDir));
+      run(copyDir, 'validate-data.js');
+    } catch {
+      console.error('\n❌ Discovery replay failed (error above).');
+      process.exitCode = 1;
+      return;
+    }
+
+    if (errors.length) {
+      for (const error of errors) console.error(error);
+      console.error(`\n❌ ${errors.length} discovery problem${errors.length === 1 ? '' : 's'} found.`);
+    } else {
+      console.log(`✅ Discovery added ${expected.candidates.length} unreviewed candidates and left curated hotels alone.`);
+    }
+  } finally {
+    fs.rmSync(copyDir, { recursive: true, force: true });
+  }
+  if (errors.length) process.exitCode = 1;
+}
+
+main();
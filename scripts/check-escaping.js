@@ -0,0 +1,159 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '..');
+const fixture = JSON.parse(fs.readFileSync(path.join(rootDir, 'fixtures', 'hostile-data.json'), 'utf8'));
+
+const MARKER = 'x-hostile';
+// A start tag with its attributes; attribute values can't contain their own quote
+const START_TAG = /<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?/g;
+
+const errors = [];
+
+function report(file, message) {
+  errors.push(`${file}: ${message}`);
+}
+
+function walkFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walkFiles(full) : [full];
+  });
+}
+
+// A throwaway copy of the project whose data carries the fixture's strings in every field
+// that reaches a page: one hotel's name, overview, lists and guest reviews, and one neighborhood's text
+function prepareHostileCopy() {
+  const copyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hotelsofathens-escaping-'));
+  for (const dir of ['scripts', 'templates', 'data']) {
+    fs.cpSync(path.join(rootDir, dir), path.join(copyDir, dir), { recursive: true });
+  }
+  for (const dir of ['node_modules', 'photos'].filter(dir => fs.existsSync(path.join(rootDir, dir)))) {
+    fs.symlinkSync(path.join(rootDir, dir), path.join(copyDir, dir), 'dir');
+  }
+
+  const hostile = fixture.strings.join(' ');
+  const hotelsFile = path.join(copyDir, 'data', 'all-hotels.json');
+  const neighborhoodsFile = path.join(copyDir, 'data', 'neighborhoods.json');
+  const hotelsData = JSON.parse(fs.readFileSync(hotelsFile, 'utf8'));
+  const neighborhoodsData = JSON.parse(fs.readFileSync(neighborhoodsFile, 'utf8'));
+
+  const hood = neighborhoodsData.neighborhoods.find(candidate => candidate.id === fixture.neighborhood);
+  const hotel = hotelsData.hotels.find(candidate => candidate.id === fixture.hotel);
+  if (!hood || !hotel) throw new Error(`fixtures/hostile-data.json: no neighborhood "${fixture.neighborhood}" or hotel "${fixture.hotel}"`);
+
+  Object.assign(hood, {
+    name: `${hood.name} ${hostile}`,
+    emoji: fixture.strings[0],
+    tagline: hostile,
+    description: `${hostile}. ${hostile}`,
+    walkToAcropolis: hostile
+  });
+  // Lists keep their real entries, so guide filters still match the same hotels
+  for (const key of ['vibe', 'bestFor']) hood[key] = [...hood[key], ...fixture.strings];
+  for (const candidate of hotelsData.hotels) {
+    if (candidate.neighborhood === hood.id) candidate.neighborhoodName = hood.name;
+  }
+
+  Object.assign(hotel, { name: hostile, overview: hostile, distanceToAcropolis: hostile });
+  for (const key of ['amenities', 'bestFor', 'pros', 'cons']) hotel[key] = [...(hotel[key] || []), ...fixture.strings];
+
+  const reviewsFile = path.join(copyDir, 'data', 'reviews.json');
+  const reviews = JSON.parse(fs.readFileSync(reviewsFile, 'utf8'));
+  reviews.sources.push({ id: 'hostile', name: hostile, weight: 1 });
+  reviews.hotels[hotel.id] = [{
+    source: 'hostile',
+    url: `https://example.com/${fixture.strings[1]}`,
+    score: 8,
+    scale: 10,
+    count: 10,
+    date: '2026-01-01',
+    subscores: { cleanliness: 9 }
+  }];
+
+  fs.writeFileSync(hotelsFile, JSON.stringify(hotelsData, null, 2));
+  fs.writeFileSync(neighborhoodsFile, JSON.stringify(neighborhoodsData, null, 2));
+  fs.writeFileSync(reviewsFile, JSON.stringify(reviews, null, 2));
+  return { copyDir, hotelName: hostile };
+}
+
+// The page's markup, with script and style bodies and comments blanked out
+function markup(html) {
+  return html.replace(/(<(script|style)\b[^>]*>)[\s\S]*?(<\/\2>)/gi, '$1$3').replace(/<!--[\s\S]*?-->/g, '');
+}
+
+function checkPage(file, html, hotelName) {
+  const opened = (html.match(/<script\b/gi) || []).length;
+  const closed = (html.match(/<\/script>/gi) || []).length;
+  if (opened !== closed) report(file, `${opened} <script> tags but ${closed} </script>`);
+
+  const scripts = [...html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)];
+  for (const [, attributes, body] of scripts) {
+    if (attributes.includes('application/ld+json')) {
+      try {
+        JSON.parse(body);
+      } catch (error) {
+        report(file, `JSON-LD doesn't parse: ${error.message}`);
+      }
+    } else if (body.includes(MARKER)) {
+      report(file, 'hostile text inside an inline script');
+    }
+  }
+
+  const page = markup(html);
+  for (const [tag, name, attributes] of page.matchAll(START_TAG)) {
+    if (name.toLowerCase().includes(MARKER)) report(file, `hostile tag ${tag}`);
+    for (const [, attribute] of attributes.matchAll(ATTRIBUTE)) {
+      if (attribute.toLowerCase().includes(MARKER) || /^on/i.test(attribute)) report(file, `hostile attribute in ${tag}`);
+    }
+  }
+  const stray = page.replace(START_TAG, '').match(/<[a-zA-Z][^<]*/);
+  if (stray) report(file, `unparsed markup "${stray[0].slice(0, 60)}"`);
+
+  if (html.includes(hotelName)) report(file, 'hostile hotel name written unescaped');
+}
+
+function main() {
+  console.log('🧪 Building the site from hostile data...');
+  const { copyDir, hotelName } = prepareHostileCopy();
+  try {
+    try {
+      execFileSync(process.execPath, [path.join(copyDir, 'scripts', 'generate.js'), '--force'], {
+        cwd: copyDir,
+        stdio: ['ignore', 'ignore', 'inherit'],
+        env: { ...process.env, FORMSPREE_ID: 'fixture' }
+      });
+    } catch {
+      console.error('\n❌ generate.js fails on hostile data (error above).');
+      process.exitCode = 1;
+      return;
+    }
+
+    const distDir = path.join(copyDir, 'dist');
+    const pages = walkFiles(distDir).filter(file => file.endsWith('.html'));
+    let mentions = 0;
+    for (const file of pages) {
+      const html = fs.readFileSync(file, 'utf8');
+      if (html.includes(MARKER)) mentions++;
+      checkPage(path.relative(distDir, file), html, hotelName);
+    }
+    if (!mentions) report('dist', 'no page shows the hostile data; check fixtures/hostile-data.json');
+
+    if (errors.length) {
+      for (const error of errors) console.error(error);
+      console.error(`\n❌ ${errors.length} escaping problem${errors.length === 1 ? '' : 's'} found.`);
+    } else {
+      console.log(`✅ ${pages.length} pages stay well-formed with hostile data (${mentions} show it).`);
+    }
+  } finally {
+    fs.rmSync(copyDir, { recursive: true, force: true });
+  }
+  if (errors.length) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '..');
+const distDir = path.join(rootDir, 'dist');
+const siteUrl = 'https://hotelsofathens.com';
+
+// Redirects can point at other redirects; give up after this many hops
+const MAX_REDIRECT_HOPS = 5;
+
+const args = process.argv.slice(2);
+const errors = [];
+let linkCount = 0;
+
+function report(file, line, column, code, message) {
+  errors.push({ file: path.relative(rootDir, file), line, column, code, message });
+}
+
+function walkFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? walkFiles(full) : [full];
+  });
+}
+
+// Line and column of a character offset
+function locator(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) if (text[i] === '\n') starts.push(i + 1);
+  return offset => {
+    let line = starts.length - 1;
+    while (starts[line] > offset) line--;
+    return { line: line + 1, column: offset - starts[line] + 1 };
+  };
+}
+
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Inline scripts build markup from template strings ("${escape(hotel.url)}"), and comments
+// aren't rendered, so both are blanked out. Blanking keeps every offset, so lines stay right.
+function renderedMarkup(html) {
+  return html.replace(/<script\b[\s\S]*?<\/script>|<!--[\s\S]*?-->/gi, block => block.replace(/[^\n]/g, ' '));
+}
+
+const pageCache = new Map();
+
+// Markup and anchor ids of one built page
+function readPage(file) {
+  if (!pageCache.has(file)) {
+    const html = renderedMarkup(fs.readFileSync(file, 'utf8'));
+    const ids = new Set([...html.matchAll(/\s(?:id|name)\s*=\s*"([^"]+)"/gi)].map(match => decodeEntities(match[1])));
+    pageCache.set(file, { html, ids });
+  }
+  return pageCache.get(file);
+}
+
+// The file Cloudflare Pages serves for a path, the same way it maps /contact to contact.html
+function fileForPath(urlPath) {
+  let clean;
+  try {
+    clean = decodeURIComponent(urlPath);
+  } catch {
+    return null;
+  }
+  const base = path.join(distDir, clean);
+  if (!base.startsWith(distDir)) return null;
+  const candidates = clean.endsWith('/')
+    ? [path.join(base, 'index.html')]
+    : [base, `${base}.html`, path.join(base, 'index.html')];
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+// _redirects rules in order: "from to [status]". A trailing * in `from` is passed on as :splat.
+function loadRedirects(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').flatMap((text, index) => {
+    const [from, to] = text.trim().split(/\s+/);
+    if (!from || from.startsWith('#') || !to) return [];
+    return [{ from, to, line: index + 1 }];
+  });
+}
+
+function applyRedirect(redirects, urlPath) {
+  for (const rule of redirects) {
+    if (rule.from.endsWith('*')) {
+      const prefix = rule.from.slice(0, -1);
+      if (urlPath.startsWith(prefix)) return rule.to.replace(':splat', urlPath.slice(prefix.length));
+    } else if (rule.from === urlPath) {
+      return rule.to;
+    }
+  }
+  return null;
+}
+
+const isExternal = href => /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//');
+
+// Follow a path through _redirects to the built file it ends on. Returns { file } or { error };
+// a redirect off the site counts as resolved.
+function resolvePath(redirects, urlPath, hops = 0) {
+  const file = fileForPath(urlPath);
+  if (file) return { file };
+  const target = applyRedirect(redirects, urlPath);
+  if (!target) return { error: `${urlPath} does not exist in dist/` };
+  if (isExternal(target) && !target.startsWith(siteUrl)) return { external: true };
+  if (hops >= MAX_REDIRECT_HOPS) return { error: `${urlPath} redirects more than ${MAX_REDIRECT_HOPS} times` };
+  const next = resolvePath(redirects, target.replace(siteUrl, '').split(/[?#]/)[0] || '/', hops + 1);
+  return next.error ? { error: `${urlPath} redirects to ${target}, but ${next.error}` } : next;
+}
+
+// Check one href found on `file` (whose URL path is `pagePath`)
+function checkHref(redirects, file, pagePath, href, position) {
+  if (!href || href === '#') return;
+  if (isExternal(href) && !href.startsWith(`${siteUrl}/`) && href !== siteUrl) return;
+
+  const url = new URL(href, `${siteUrl}${pagePath}`);
+  const fragment = decodeURIComponent(url.hash.slice(1));
+  linkCount++;
+
+  const target = url.pathname === pagePath ? { file } : resolvePath(redirects, url.pathname);
+  if (target.error) {
+    report(file, position.line, position.column, 'broken-link', `${href}: ${target.error}`);
+    return;
+  }
+  if (!fragment || !target.file?.endsWith('.html')) return;
+  if (!readPage(target.file).ids.has(fragment)) {
+    report(file, position.line, position.column, 'broken-anchor', `${href}: no id="${fragment}" on ${path.relative(distDir, target.file)}`);
+  }
+}
+
+function pagePathFor(file) {
+  const relative = path.relative(distDir, file).split(path.sep).join('/');
+  if (relative === 'index.html') return '/';
+  return `/${relative.replace(/(^|\/)index\.html$/, '$1').replace(/\.html$/, '')}`;
+}
+
+function checkLinks() {
+  if (!fs.existsSync(distDir)) {
+    report(distDir, 0, 0, 'missing-build', 'Run npm run generate first');
+    return 0;
+  }
+
+  const redirectsFile = path.join(distDir, '_redirects');
+  const redirects = loadRedirects(redirectsFile);
+  const pages = walkFiles(distDir).filter(file => file.endsWith('.html'));
+
+  for (const file of pages) {
+    const { html } = readPage(file);
+    const locate = locator(html);
+    const pagePath = pagePathFor(file);
+    for (const match of html.matchAll(/\shref\s*=\s*(?:"([^"]*)"|'([^']*)')/gi)) {
+      const href = decodeEntities((match[1] ?? match[2]).trim());
+      checkHref(redirects, file, pagePath, href, locate(match.index + 1));
+    }
+  }
+
+  // Redirect targets have to exist too (":splat" targets depend on the request, so they're skipped)
+  for (const rule of redirects) {
+    if (rule.to.includes(':') && !rule.to.startsWith(siteUrl)) continue;
+    linkCount++;
+    const target = resolvePath(redirects, rule.to.replace(siteUrl, '') || '/');
+    if (target.error) report(redirectsFile, rule.line, 1, 'broken-redirect', `${rule.from} → ${target.error}`);
+  }
+  return pages.length;
+}
+
+const pageTotal = checkLinks();
+
+if (args.includes('--json')) {
+  console.log(JSON.stringify({ valid: errors.length === 0, links: linkCount, errors }, null, 2));
+} else if (errors.length) {
+  for (const error of errors) console.error(`${error.file}:${error.line}:${error.column}  [${error.code}] ${error.message}`);
+  console.error(`\n❌ ${errors.length} broken link${errors.length === 1 ? '' : 's'} found.`);
+} else {
+  console.log(`✅ ${linkCount} internal links in ${pageTotal} pages resolve.`);
+}
+
+process.exit(errors.length ? 1 : 0);
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { loadSchemas, schemaErrors } from './lib/schemas.js';
+import { loadReviews, parseReviewsCsv, mergeReviews, reviewProblems, summarizeReviews, REVIEW_CSV_COLUMNS } from './lib/reviews.js';
+
+// Adds guest review scores from CSV exports to data/reviews.json:
+//   npm run import-reviews -- reviews/booking-2026-10.csv [more.csv ...]
+// Each row replaces that hotel's earlier entry from the same source. Nothing is written unless
+// every row of every file is valid.
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '..');
+const dataDir = path.join(rootDir, 'data');
+const reviewsPath = path.join(dataDir, 'reviews.json');
+
+const files = process.argv.slice(2);
+const today = new Date().toISOString().split('T')[0];
+
+function fail(problems) {
+  for (const problem of problems) console.error(`   ${problem}`);
+  console.error(`\n❌ ${problems.length} problem${problems.length === 1 ? '' : 's'}; data/reviews.json was not changed.`);
+  process.exit(1);
+}
+
+function main() {
+  if (!files.length) {
+    console.error('Usage: npm run import-reviews -- <file.csv> [more.csv ...]');
+    console.error(`Columns: ${REVIEW_CSV_COLUMNS.join(',')}`);
+    process.exit(1);
+  }
+
+  const imported = [];
+  const errors = [];
+  for (const file of files) {
+    console.log(`📥 Reading ${file}...`);
+    const { entries, errors: fileErrors } = parseReviewsCsv(fs.readFileSync(file, 'utf8'), file);
+    imported.push(...entries);
+    errors.push(...fileErrors);
+  }
+  if (errors.length) fail(errors);
+
+  const { data, added, replaced } = mergeReviews(loadReviews(reviewsPath), imported);
+
+  // The same checks as npm run validate, before anything is written
+  const validate = loadSchemas(path.join(dataDir, 'schema')).getSchema('reviews.schema.json');
+  validate(data);
+  const master = JSON.parse(fs.readFileSync(path.join(dataDir, 'all-hotels.json'), 'utf8'));
+  const problems = [
+    ...schemaErrors(validate),
+    ...reviewProblems(data, { hotelIds: master.hotels.map(hotel => hotel.id), today })
+  ];
+  if (problems.length) fail(problems.map(problem => `data/reviews.json#${problem.path}: ${problem.message}`));
+
+  fs.writeFileSync(reviewsPath, `${JSON.stringify(data, null, 2)}\n`);
+
+  for (const hotel of [...new Set(imported.map(row => row.hotel))].sort()) {
+    const summary = summarizeReviews(data.hotels[hotel], data.sources);
+    console.log(`   ${hotel}: ${summary.score}/10 from ${summary.count.toLocaleString('en-US')} reviews (${summary.sources.length} source${summary.sources.length === 1 ? '' : 's'})`);
+  }
+  console.log(`\n✅ ${imported.length} row${imported.length === 1 ? '' : 's'} imported: ${added} added, ${replaced} replaced.`);
+}
+
+main();
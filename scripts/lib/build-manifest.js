@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Stands in for a page's own modification date while it is hashed, so a page whose only
+// change would be that date keeps its previous lastmod. Replaced before the file is written.
+export const PAGE_MODIFIED = '{{PAGE_MODIFIED}}';
+
+// Short content hash of any mix of strings, Buffers and JSON-able values
+export function hashOf(...values) {
+  const hash = crypto.createHash('sha256');
+  for (const value of values) {
+    hash.update(typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value) ?? 'undefined');
+    hash.update('\0');
+  }
+  return hash.digest('hex').slice(0, 16);
+}
+
+export function readManifest(file) {
+  if (!fs.existsSync(file)) return { pages: {}, routes: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Incremental output for one build. The manifest records, per output file (relative to outDir):
+//   inputs   hash of `base` plus what the caller says the page is made of
+//   output   hash of the rendered page, with PAGE_MODIFIED still in place
+//   lastmod  the last date `output` changed, or the caller's `since` date if that is newer
+//            (e.g. the newest lastVerified among the hotels on the page)
+// render() returns a string, or a Buffer for binary files (which get no PAGE_MODIFIED).
+// write() skips rendering when the inputs match the last run and the file is still there, and
+// only touches files whose content actually changed. `force` renders everything again; lastmod
+// still only moves for pages that came out different.
+export function openBuild(manifestFile, outDir, { base = '', force = false, today }) {
+  const previous = readManifest(manifestFile).pages;
+  const pages = {};
+  const stats = { skipped: 0, unchanged: 0, written: 0 };
+
+  // The previous entry when the inputs match the last run and the file is still there
+  function fresh(file, inputHash) {
+    const old = previous[file];
+    if (force || old?.inputs !== inputHash || !fs.existsSync(path.join(outDir, file))) return null;
+    pages[file] = old;
+    stats.skipped++;
+    return old;
+  }
+
+  function store(file, inputHash, output, since) {
+    const target = path.join(outDir, file);
+    const old = previous[file];
+    const outputHash = hashOf(output);
+    const changed = old?.output === outputHash ? old.lastmod : today;
+    const lastmod = since && since > changed && since <= today ? since : changed;
+    const content = Buffer.isBuffer(output) ? output : Buffer.from(output.split(PAGE_MODIFIED).join(lastmod));
+    pages[file] = { inputs: inputHash, output: outputHash, lastmod };
+
+    if (fs.existsSync(target) && fs.readFileSync(target).equals(content)) {
+      stats.unchanged++;
+      return;
+    }
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    stats.written++;
+  }
+
+  function write(file, inputs, render, { since } = {}) {
+    const inputHash = hashOf(base, inputs);
+    if (!fresh(file, inputHash)) store(file, inputHash, render(), since);
+  }
+
+  // write() for a render() that returns a Promise. A `standalone` file is made from `inputs`
+  // alone, so changes to `base` don't redo slow work like encoding photos.
+  async function writeAsync(file, inputs, render, { since, standalone = false } = {}) {
+    const inputHash = standalone ? hashOf(inputs) : hashOf(base, inputs);
+    if (!fresh(file, inputHash)) store(file, inputHash, await render(), since);
+  }
+
+  // Outputs from the last run that this run didn't produce (a hotel was unpublished, a guide
+  // renamed) are deleted along with their manifest entries. `routes` is the site's route table
+  // (see routes.js), kept for translate-site.mjs. Returns the removed files.
+  function save({ routes = [] } = {}) {
+    const removed = Object.keys(previous).filter(file => !pages[file]);
+    for (const file of removed) fs.rmSync(path.join(outDir, file), { force: true });
+
+    const sorted = Object.fromEntries(Object.keys(pages).sort().map(file => [file, pages[file]]));
+    fs.writeFileSync(manifestFile, `${JSON.stringify({ pages: sorted, routes }, null, 2)}\n`);
+    return removed;
+  }
+
+  return {
+    write,
+    writeAsync,
+    save,
+    stats,
+    lastmod: file => pages[file]?.lastmod || today
+  };
+}
@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Streets are never straight: walking routes in central Athens run about 30% longer than the
+// straight line, at roughly 80 m a minute
+const ROUTE_FACTOR = 1.3;
+const WALKING_METERS_PER_MINUTE = 80;
+
+// Beyond this, pages give the distance instead of a walking time
+export const MAX_WALK_MINUTES = 45;
+
+function readPointsFile(dataDir) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, 'points-of-interest.json'), 'utf8'));
+}
+
+export function loadPointsOfInterest(dataDir) {
+  return readPointsFile(dataDir).pointsOfInterest;
+}
+
+export function loadMetroLines(dataDir) {
+  return readPointsFile(dataDir).metroLines || [];
+}
+
+// Great-circle distance between two { lat, lng } points
+export function distanceMeters(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a)));
+}
+
+export function walkingMinutes(meters) {
+  return Math.max(1, Math.round((meters * ROUTE_FACTOR) / WALKING_METERS_PER_MINUTE));
+}
+
+// { poi, meters, minutes } for every point of interest, nearest first; [] without coordinates
+export function hotelDistances(hotel, pointsOfInterest) {
+  if (!hotel.coordinates) return [];
+  return pointsOfInterest
+    .map(poi => {
+      const meters = distanceMeters(hotel.coordinates, poi);
+      return { poi, meters, minutes: walkingMinutes(meters) };
+    })
+    .sort((a, b) => a.meters - b.meters);
+}
+
+// Nearest point of the given type (acropolis, museum, metro, port), or null
+export function nearestOfType(hotel, pointsOfInterest, type) {
+  return hotelDistances(hotel, pointsOfInterest).find(distance => distance.poi.type === type) || null;
+}
+
+// Fit { lat, lng } points into a width x height box. Longitude degrees are scaled by cos(latitude)
+// so distances keep their real proportions, and the view never spans less than minSpanMeters.
+export function createProjection(points, { width, height, padding = 32, minSpanMeters = 900 }) {
+  const lats = points.map(point => point.lat);
+  const lngs = points.map(point => point.lng);
+  const centerLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const centerLng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+  const metersPerDegree = (Math.PI / 180) * EARTH_RADIUS_METERS;
+  const toMeters = point => ({
+    x: (point.lng - centerLng) * metersPerDegree * Math.cos((centerLat * Math.PI) / 180),
+    y: (centerLat - point.lat) * metersPerDegree
+  });
+
+  const projected = points.map(toMeters);
+  const spanX = Math.max(minSpanMeters, 2 * Math.max(...projected.map(point => Math.abs(point.x))));
+  const spanY = Math.max(minSpanMeters, 2 * Math.max(...projected.map(point => Math.abs(point.y))));
+  const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+
+  return point => {
+    const meters = toMeters(point);
+    return {
+      x: Math.round((width / 2 + meters.x * scale) * 10) / 10,
+      y: Math.round((height / 2 + meters.y * scale) * 10) / 10
+    };
+  };
+}
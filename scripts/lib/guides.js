@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import { parseSourceFile } from './load-sources.js';
+import { schemaErrors } from './schemas.js';
+
+const NUMBER_TESTS = {
+  lt: (value, limit) => value < limit,
+  lte: (value, limit) => value <= limit,
+  gt: (value, limit) => value > limit,
+  gte: (value, limit) => value >= limit
+};
+
+function matchesNumber(value, condition) {
+  if (typeof value !== 'number') return false;
+  return Object.entries(condition).every(([op, limit]) => NUMBER_TESTS[op](value, limit));
+}
+
+// "contains" is a case-insensitive substring match, so "pool" matches "Rooftop Pool"
+function matchesList(items = [], condition) {
+  const needles = (condition.containsAny || [condition.contains]).map(needle => needle.toLowerCase());
+  return items.some(item => needles.some(needle => item.toLowerCase().includes(needle)));
+}
+
+// Does one hotel pass a guide filter (see data/schema/guide.schema.json)? The context
+// supplies what the filter can't read off the hotel record itself:
+//   neighborhoodsOf(hotel)       -> primary plus alsoNear neighborhood ids
+//   walkingMinutes(hotel, type)  -> estimated walk to the nearest point of that type, or null
+export function matchesGuideFilter(hotel, filter, context) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case 'neighborhood':
+        return context.neighborhoodsOf(hotel).some(id => condition.in.includes(id));
+      case 'pricePerNight':
+      case 'starRating':
+      case 'rooftopRating':
+        return matchesNumber(hotel[key] || 0, condition);
+      case 'hasAcropolisView':
+      case 'hasRooftopBar':
+        return Boolean(hotel[key]) === condition;
+      case 'amenities':
+      case 'bestFor':
+        return matchesList(hotel[key], condition);
+      case 'name':
+        return hotel.name.toLowerCase().includes(condition.contains.toLowerCase());
+      case 'walkingMinutes':
+        return Object.entries(condition).every(([type, minutes]) => matchesNumber(context.walkingMinutes(hotel, type), minutes));
+      case 'any':
+        return condition.some(alternative => matchesGuideFilter(hotel, alternative, context));
+      default:
+        throw new Error(`Unknown guide filter "${key}"`);
+    }
+  });
+}
+
+// Order by a guide's `sort` keys, e.g. ['-starRating', '-pricePerNight']
+export function sortGuideHotels(hotels, keys) {
+  const compare = (a, b) => (typeof a === 'string' ? a.localeCompare(b) : (a || 0) - (b || 0));
+  return [...hotels].sort((a, b) => {
+    for (const key of keys) {
+      const field = key.replace(/^-/, '');
+      const order = compare(a[field], b[field]);
+      if (order) return key.startsWith('-') ? -order : order;
+    }
+    return 0;
+  });
+}
+
+// Prose fields can reference site data instead of hard-coding names and URLs:
+//   [[hotel:<id>]]  [[area:<neighborhood id>]]  [[guide:<slug>]]  (add |label to change the text)
+//   [[hotels:<name>]]  the hotels in one of the guide's `lists`, so "the cheapest" stays true
+//   [[count]]       number of hotels the guide matches
+//   [label](https://…)  external link
+const INLINE_PATTERN = /\[\[([^\]]*)\]\]|\[([^\]]+)\]\((https:\/\/[^)\s]+)\)/g;
+const REFERENCE_PATTERN = /^(?:(hotel|hotels|area|guide):([a-z0-9-]+)(?:\|(.+))?|count)$/;
+
+// Split prose into text, reference and link tokens. Malformed references come back as
+// { type: 'invalid' } so callers can report them.
+export function parseRichText(text) {
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    if (match.index > last) tokens.push({ type: 'text', value: text.slice(last, match.index) });
+    last = match.index + match[0].length;
+    if (match[2]) {
+      tokens.push({ type: 'link', label: match[2], url: match[3] });
+      continue;
+    }
+    const ref = match[1].match(REFERENCE_PATTERN);
+    if (!ref) tokens.push({ type: 'invalid', raw: match[0] });
+    else if (!ref[1]) tokens.push({ type: 'ref', kind: 'count' });
+    else tokens.push({ type: 'ref', kind: ref[1], id: ref[2], label: ref[3] || null });
+  }
+  if (last < text.length) tokens.push({ type: 'text', value: text.slice(last) });
+  return tokens;
+}
+
+// The hotels one of a guide's `lists` names: the first `limit` matching hotels in `sort` order
+export function guideListHotels(hotels, list, context) {
+  return sortGuideHotels(hotels.filter(hotel => matchesGuideFilter(hotel, list.filter, context)), list.sort).slice(0, list.limit);
+}
+
+// Every reference in a guide, with the JSON pointer of the string it appears in
+function guideReferences(value, pointer = '') {
+  if (typeof value === 'string') {
+    return parseRichText(value).filter(token => token.type === 'ref' || token.type === 'invalid').map(token => ({ ...token, pointer }));
+  }
+  if (Array.isArray(value)) return value.flatMap((item, index) => guideReferences(item, `${pointer}/${index}`));
+  if (value && typeof value === 'object') return Object.entries(value).flatMap(([key, item]) => guideReferences(item, `${pointer}/${key}`));
+  return [];
+}
+
+// Section types that render the guide's own hotels
+export const HOTEL_SECTIONS = ['hotelTable', 'areaFit', 'hotelCards', 'methodology'];
+
+// Neighborhood ids a filter refers to, with their JSON pointers
+function filterNeighborhoods(filter, pointer) {
+  const refs = (filter.neighborhood?.in || []).map((id, index) => ({ id, pointer: `${pointer}/neighborhood/in/${index}` }));
+  (filter.any || []).forEach((alternative, index) => refs.push(...filterNeighborhoods(alternative, `${pointer}/any/${index}`)));
+  return refs;
+}
+
+// Load every guide in data/guides (.yaml or .json), ordered by `order`. Each file must be
+// named after its slug, which is also the page URL. Errors carry line and column like sources.
+// hotelIds should be published hotels only, so a reference can never point at a missing page.
+export function loadGuides(guidesDir, { ajv, neighborhoodIds, profileIds, hotelIds }) {
+  const validate = ajv.getSchema('guide.schema.json');
+  const guides = [];
+  const errors = [];
+  const seen = new Map();
+  const guideRefs = [];
+
+  const files = fs.existsSync(guidesDir)
+    ? fs.readdirSync(guidesDir).filter(name => /\.(ya?ml|json)$/.test(name)).sort()
+    : [];
+
+  for (const name of files) {
+    const file = path.join(guidesDir, name);
+    const { data, errors: parseErrors, locate } = parseSourceFile(file);
+    const fail = (pointer, message) => {
+      const { line, col } = locate(pointer);
+      errors.push({ file, line, column: col, message });
+    };
+
+    if (!data) {
+      errors.push(...parseErrors);
+      continue;
+    }
+    if (!validate(data)) {
+      for (const error of schemaErrors(validate)) fail(error.path, error.message);
+      continue;
+    }
+
+    const expected = `${data.slug}${path.extname(name)}`;
+    if (name !== expected) fail('/slug', `File should be named ${expected} to match the slug`);
+    if (seen.has(data.slug)) fail('/slug', `Guide "${data.slug}" is already defined in ${seen.get(data.slug)}`);
+    seen.set(data.slug, name);
+    if (data.profile && data.sort) fail('/sort', 'Use either a ranking profile or a fixed sort, not both');
+    if (data.profile && !profileIds.includes(data.profile)) fail('/profile', `Unknown ranking profile "${data.profile}" (see data/ranking.json)`);
+    const filters = [
+      ...(data.filter ? [[data.filter, '/filter']] : []),
+      ...Object.entries(data.lists || {}).map(([name, list]) => [list.filter, `/lists/${name}/filter`])
+    ];
+    for (const [filter, filterPointer] of filters) {
+      for (const { id, pointer } of filterNeighborhoods(filter, filterPointer)) {
+        if (!neighborhoodIds.includes(id)) fail(pointer, `Unknown neighborhood "${id}"`);
+      }
+    }
+
+    const sections = data.sections || [];
+    if (!data.filter) {
+      sections.forEach((section, index) => {
+        if (HOTEL_SECTIONS.includes(section.type)) fail(`/sections/${index}/type`, `A ${section.type} section needs a filter to choose hotels`);
+      });
+    }
+    sections.forEach((section, index) => {
+      if (section.type === 'hotelTable' && !section.caption && !data.caption) fail(`/sections/${index}`, 'A hotelTable section needs a caption, on the section or the guide');
+      if (section.type === 'panels' && !section.panels && !data.notes) fail(`/sections/${index}`, 'A panels section needs panels, or notes on the guide');
+      (section.type === 'table' ? section.rows : []).forEach((row, rowIndex) => {
+        if (row.length !== section.columns.length) fail(`/sections/${index}/rows/${rowIndex}`, `Row has ${row.length} cells but the table has ${section.columns.length} columns`);
+      });
+    });
+    const anchors = new Set(sections.map(section => section.id).filter(Boolean));
+    sections.forEach((section, index) => {
+      (section.links || []).forEach((link, linkIndex) => {
+        if (link.anchor && !anchors.has(link.anchor)) fail(`/sections/${index}/links/${linkIndex}/anchor`, `No section with id "${link.anchor}" on this page`);
+        if (link.guide) guideRefs.push({ id: link.guide, fail: () => fail(`/sections/${index}/links/${linkIndex}/guide`, `Unknown guide "${link.guide}"`) });
+      });
+    });
+
+    for (const ref of guideReferences(data)) {
+      if (ref.type === 'invalid') fail(ref.pointer, `Malformed reference ${ref.raw} (use [[hotel:id]], [[hotels:list]], [[area:id]], [[guide:slug]] or [[count]])`);
+      else if (ref.kind === 'hotel' && !hotelIds.includes(ref.id)) fail(ref.pointer, `Unknown hotel "${ref.id}" (see data/all-hotels.json)`);
+      else if (ref.kind === 'hotels' && !data.lists?.[ref.id]) fail(ref.pointer, `Unknown hotel list "${ref.id}" (add it under lists)`);
+      else if (ref.kind === 'hotels' && ref.label) fail(ref.pointer, `[[hotels:${ref.id}]] names each hotel and takes no |label`);
+      else if (ref.kind === 'area' && !neighborhoodIds.includes(ref.id)) fail(ref.pointer, `Unknown neighborhood "${ref.id}"`);
+      else if (ref.kind === 'guide') guideRefs.push({ id: ref.id, fail: () => fail(ref.pointer, `Unknown guide "${ref.id}"`) });
+    }
+
+    guides.push({ ...data, file });
+  }
+
+  // Guides can link to each other, so these are checked once every file is loaded
+  const slugs = new Set(guides.map(guide => guide.slug));
+  for (const ref of guideRefs) {
+    if (!slugs.has(ref.id)) ref.fail();
+  }
+
+  guides.sort((a, b) => a.order - b.order || a.slug.localeCompare(b.slug));
+  return { guides, errors, files: files.length };
+}
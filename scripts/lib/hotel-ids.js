@@ -0,0 +1,14 @@
+// Generate slug from hotel name
+export function generateSlug(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .trim() + '-athens';
+}
+
+// Ids drop the first "-athens" and add the neighborhood; existing ids depend on this exact rule
+export function hotelId(name, neighborhoodId) {
+  return generateSlug(name).replace('-athens', '') + '-' + neighborhoodId;
+}
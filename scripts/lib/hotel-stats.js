@@ -0,0 +1,35 @@
+// Only reviewed, active hotels are published and count towards totals and price stats
+export function isPublished(hotel) {
+  return hotel.isActive !== false && hotel.isVerified !== false;
+}
+
+const PRICE_BANDS = {
+  budget: { range: "Under €80", test: price => price < 80 },
+  midRange: { range: "€80-150", test: price => price >= 80 && price < 150 },
+  upscale: { range: "€150-250", test: price => price >= 150 && price < 250 },
+  luxury: { range: "€250+", test: price => price >= 250 }
+};
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+}
+
+// Totals, average price and price-band counts stored at the top of all-hotels.json.
+// Given the previous period's price index entry, each band also records its change since then.
+export function computePriceStats(hotels, previous = null) {
+  const publishedHotels = hotels.filter(isPublished);
+  const avgPrice = average(publishedHotels.map(h => h.pricePerNight));
+  
+  const priceStats = {};
+  for (const [band, { range, test }] of Object.entries(PRICE_BANDS)) {
+    const prices = publishedHotels.map(h => h.pricePerNight).filter(test);
+    const stats = { range, count: prices.length, avgPrice: average(prices) };
+    const before = previous?.bands?.[band];
+    stats.change = before
+      ? { since: previous.date, count: stats.count - before.count, avgPrice: stats.avgPrice - before.avgPrice }
+      : null;
+    priceStats[band] = stats;
+  }
+  
+  return { totalHotels: publishedHotels.length, avgPrice, priceStats };
+}
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { schemaErrors } from './schemas.js';
+
+// Parse a .yaml or .json file (JSON is valid YAML) and keep node positions, so every
+// error can point at a line and column in the file an editor actually touched.
+export function parseSourceFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false, uniqueKeys: true });
+
+  const locate = pointer => {
+    const keys = pointer.split('/').slice(1).map(key => (/^\d+$/.test(key) ? Number(key) : key.replace(/~1/g, '/').replace(/~0/g, '~')));
+    // Walk up to the closest node that exists (a missing key points at its parent)
+    for (let depth = keys.length; depth >= 0; depth--) {
+      const node = depth ? doc.getIn(keys.slice(0, depth), true) : doc.contents;
+      if (node?.range) return lineCounter.linePos(node.range[0]);
+    }
+    return { line: 1, col: 1 };
+  };
+
+  const errors = doc.errors.map(error => ({
+    file,
+    line: error.linePos?.[0]?.line || 1,
+    column: error.linePos?.[0]?.col || 1,
+    message: error.message.split('\n')[0]
+  }));
+
+  return { data: errors.length ? null : doc.toJS(), errors, locate };
+}
+
+export function formatSourceError(error, rootDir) {
+  return `${path.relative(rootDir, error.file)}:${error.line}:${error.column}  ${error.message}`;
+}
+
+// Load every curated hotel in data/sources. Each file must be named after the hotel id
+// that idFor() derives from it, so renaming a hotel is an explicit file rename.
+export function loadHotelSources(sourcesDir, { ajv, neighborhoodIds, idFor }) {
+  const validate = ajv.getSchema('hotel-source.schema.json');
+  const hotels = [];
+  const errors = [];
+  const seen = new Map();
+
+  const files = fs.existsSync(sourcesDir)
+    ? fs.readdirSync(sourcesDir).filter(name => /\.(ya?ml|json)$/.test(name)).sort()
+    : [];
+
+  for (const name of files) {
+    const file = path.join(sourcesDir, name);
+    const { data, errors: parseErrors, locate } = parseSourceFile(file);
+    const fail = (pointer, message) => {
+      const { line, col } = locate(pointer);
+      errors.push({ file, line, column: col, message });
+    };
+
+    if (!data) {
+      errors.push(...parseErrors);
+      continue;
+    }
+    if (!validate(data)) {
+      for (const error of schemaErrors(validate)) fail(error.path, error.message);
+      continue;
+    }
+
+    if (!neighborhoodIds.includes(data.neighborhood)) fail('/neighborhood', `Unknown neighborhood "${data.neighborhood}"`);
+    (data.alsoNear || []).forEach((id, index) => {
+      if (!neighborhoodIds.includes(id)) fail(`/alsoNear/${index}`, `Unknown neighborhood "${id}"`);
+    });
+
+    const id = idFor(data);
+    const expected = `${id}${path.extname(name)}`;
+    if (name !== expected) fail('/name', `File should be named ${expected} to match the hotel id`);
+    if (seen.has(id)) fail('/name', `Hotel id "${id}" is already defined in ${seen.get(id)}`);
+    seen.set(id, name);
+
+    hotels.push(data);
+  }
+
+  return { hotels, errors, files: files.length };
+}
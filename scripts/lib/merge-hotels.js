@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+import { isPublished } from './hotel-stats.js';
+
+// Fields maintained by the merge itself, never compared or copied from incoming records
+const SYSTEM_FIELDS = new Set(['id', 'slug', 'lastVerified', 'provenance', 'discoveredAt']);
+
+// A field set by a higher-priority source is never overwritten by a lower one
+const SOURCE_PRIORITY = { discovery: 1, seed: 2, manual: 3 };
+
+// Review flags change when an editor publishes a hotel, not when its data is re-checked
+const STATUS_FIELDS = new Set(['isActive', 'isVerified']);
+
+const NAME_STOP_WORDS = new Set(['the', 'hotel', 'hotels', 'athens', 'and']);
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// "Coco-Mat Athens BC" and "Coco-Mat BC" both normalise to "bc coco mat"
+export function normalizeHotelName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !NAME_STOP_WORDS.has(word))
+    .sort()
+    .join(' ');
+}
+
+// Once a curated source has set anything, only curated sources move lastVerified: a scrape
+// nobody checked doesn't count as verifying the hotel
+function newestDate(provenance) {
+  const entries = Object.entries(provenance)
+    .filter(([field]) => !STATUS_FIELDS.has(field))
+    .map(([, entry]) => entry);
+  const curated = entries.filter(entry => entry.source !== 'discovery');
+  return (curated.length ? curated : entries)
+    .map(entry => entry.updatedAt)
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+}
+
+// Published hotels and hotels any seed or manual edit has touched belong to editors
+function isCurated(record) {
+  return isPublished(record) || Object.values(record.provenance || {}).some(entry => entry.source !== 'discovery');
+}
+
+function curatedFields(record) {
+  return Object.keys(record).filter(field => !SYSTEM_FIELDS.has(field));
+}
+
+function withProvenance(record, source, updatedAt) {
+  const provenance = { ...(record.provenance || {}) };
+  for (const field of curatedFields(record)) {
+    if (!provenance[field]) provenance[field] = { source, updatedAt };
+  }
+  return { ...record, provenance };
+}
+
+// Load the current dataset. all-hotels.json is the base; data/hotels/<neighborhood>.json is
+// where editors make changes, so any field that differs there is recorded as a manual edit.
+export function loadExistingHotels(dataDir, today) {
+  const masterPath = path.join(dataDir, 'all-hotels.json');
+  const hotelsDir = path.join(dataDir, 'hotels');
+  const master = fs.existsSync(masterPath) ? readJson(masterPath) : { hotels: [] };
+
+  // Records written before provenance existed are attributed to the seed at their last verified date
+  const records = master.hotels.map(hotel => withProvenance(hotel, 'seed', hotel.lastVerified || today));
+  const byId = new Map(records.map(record => [record.id, record]));
+
+  const files = fs.existsSync(hotelsDir) ? fs.readdirSync(hotelsDir).filter(file => file.endsWith('.json')).sort() : [];
+  for (const file of files) {
+    for (const edited of readJson(path.join(hotelsDir, file)).hotels || []) {
+      const record = byId.get(edited.id);
+      if (!record) {
+        const added = withProvenance(edited, 'manual', edited.lastVerified || today);
+        records.push(added);
+        byId.set(added.id, added);
+        continue;
+      }
+      for (const field of curatedFields(edited)) {
+        if (isEqual(record[field], edited[field])) continue;
+        record[field] = edited[field];
+        record.provenance[field] = { source: 'manual', updatedAt: today };
+      }
+    }
+  }
+
+  for (const record of records) record.lastVerified = newestDate(record.provenance) || record.lastVerified;
+  return records;
+}
+
+function servesNeighborhood(record, neighborhood) {
+  return record.neighborhood === neighborhood || (record.alsoNear || []).includes(neighborhood);
+}
+
+// Match by stable id first, then by fuzzy name within any neighborhood the hotel serves
+export function findMatchingHotel(records, incoming) {
+  const byId = records.find(record => record.id === incoming.id);
+  if (byId) return byId;
+
+  const name = normalizeHotelName(incoming.name);
+  if (!name) return null;
+  return records.find(record => (
+    servesNeighborhood(record, incoming.neighborhood) && normalizeHotelName(record.name) === name
+  )) || null;
+}
+
+function mergeRecord(record, incoming, source, today) {
+  const merged = { ...record };
+  const provenance = { ...record.provenance };
+  const changedFields = [];
+  const shadowedFields = [];
+
+  for (const field of curatedFields(incoming)) {
+    const value = incoming[field];
+    if (value === undefined || isEqual(merged[field], value)) continue;
+
+    const current = provenance[field];
+    if (current && (SOURCE_PRIORITY[current.source] || 0) > SOURCE_PRIORITY[source]) {
+      shadowedFields.push(field);
+      continue;
+    }
+
+    merged[field] = value;
+    provenance[field] = { source, updatedAt: today };
+    changedFields.push(field);
+  }
+
+  // A field this source set earlier and no longer sends has been deleted at the source. Its
+  // provenance stays behind to date the removal.
+  for (const field of curatedFields(merged)) {
+    if (provenance[field]?.source !== source || incoming[field] !== undefined) continue;
+    delete merged[field];
+    provenance[field] = { source, updatedAt: today };
+    changedFields.push(field);
+  }
+
+  merged.provenance = provenance;
+  merged.lastVerified = newestDate(provenance) || merged.lastVerified;
+  return { merged, changedFields, shadowedFields };
+}
+
+function hasSource(record, source) {
+  return Object.values(record.provenance || {}).some(entry => entry.source === source);
+}
+
+// Merge incoming records from one source into the existing records.
+// Returns the merged list plus a summary of added, changed and unpublished hotels, and of fields
+// where a higher-priority source kept its value over the incoming one.
+// With unpublishMissing, the incoming records are everything the source has: a published hotel
+// that came from it earlier and is missing now has been deleted there, so it is unpublished.
+export function mergeHotels(records, incomingHotels, { source, today, unpublishMissing = false }) {
+  const hotels = [...records];
+  const added = [];
+  const changed = [];
+  const shadowed = [];
+  const matched = new Set();
+
+  for (const incoming of incomingHotels) {
+    const match = findMatchingHotel(hotels, incoming);
+
+    if (!match) {
+      const record = withProvenance({ ...incoming, lastVerified: today }, source, today);
+      hotels.push(record);
+      matched.add(record.id);
+      added.push(record.id);
+      continue;
+    }
+    matched.add(match.id);
+
+    // Discovery only proposes candidates. A curated match keeps every field; the page it was
+    // found on is noted in provenance for an editor to look at.
+    if (source === 'discovery' && isCurated(match)) {
+      if (incoming.sourceUrl) {
+        const sourceUrl = { source, updatedAt: today, url: incoming.sourceUrl };
+        hotels[hotels.indexOf(match)] = { ...match, provenance: { ...match.provenance, sourceUrl } };
+      }
+      continue;
+    }
+
+    const { merged, changedFields, shadowedFields } = mergeRecord(match, incoming, source, today);
+    hotels[hotels.indexOf(match)] = merged;
+    if (changedFields.length) changed.push({ id: merged.id, fields: changedFields });
+    if (shadowedFields.length) shadowed.push({ id: merged.id, fields: shadowedFields });
+  }
+
+  const unpublished = [];
+  if (unpublishMissing) {
+    hotels.forEach((record, index) => {
+      if (matched.has(record.id) || !hasSource(record, source) || !isPublished(record)) return;
+      hotels[index] = {
+        ...record,
+        isActive: false,
+        provenance: { ...record.provenance, isActive: { source, updatedAt: today } }
+      };
+      unpublished.push(record.id);
+    });
+  }
+
+  return { hotels, added, changed, shadowed, unpublished };
+}
@@ -0,0 +1,225 @@
+import zlib from 'zlib';
+import { GLYPH_WIDTH, GLYPH_HEIGHT, fontText, glyph } from './bitmap-font.js';
+
+// 1200×630 Open Graph cards drawn in plain JS and written as PNG, so the build needs no image
+// library, fonts or network. renderOgCard() takes what the card says:
+//   kicker    small caps line at the top, e.g. "PLAKA · 5-STAR HOTEL"
+//   title     hotel, area or guide name, wrapped onto up to three lines
+//   stars     0-5, drawn under the title (optional)
+//   subtitle  one line under the title
+//   price     price signal at the bottom left, e.g. "from €95/night"
+//   badges    short labels at the bottom right, e.g. ["Acropolis view", "Rooftop bar"]
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+// The site palette (dist/css/styles.css)
+const COLORS = {
+  primary: [0x1e, 0x3a, 0x5f],
+  secondary: [0x2d, 0x4a, 0x6f],
+  accent: [0xd4, 0xa5, 0x74],
+  accent2: [0xe8, 0xb8, 0x9d],
+  white: [0xff, 0xff, 0xff],
+  muted: [0x9f, 0xb0, 0xc6]
+};
+
+const PADDING = 80;
+// Title line height in font pixels: the glyph, descender included, plus one
+const LINE_HEIGHT = GLYPH_HEIGHT + 1;
+const BAND_HEIGHT = 120;
+const TEXT_WIDTH = OG_WIDTH - PADDING * 2;
+// Samples per pixel side where shapes are anti-aliased
+const SUPERSAMPLE = 4;
+
+function createImage(width, height, background) {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) pixels.set(background, i);
+  return { width, height, pixels };
+}
+
+function blend(image, x, y, color, alpha) {
+  if (x < 0 || y < 0 || x >= image.width || y >= image.height || alpha <= 0) return;
+  const i = (y * image.width + x) * 3;
+  for (let c = 0; c < 3; c++) {
+    image.pixels[i + c] = Math.round(image.pixels[i + c] * (1 - alpha) + color[c] * alpha);
+  }
+}
+
+function fillRect(image, x, y, width, height, color) {
+  for (let py = Math.max(0, y); py < Math.min(image.height, y + height); py++) {
+    for (let px = Math.max(0, x); px < Math.min(image.width, x + width); px++) blend(image, px, py, color, 1);
+  }
+}
+
+// Any shape given as an inside(x, y) test over its bounding box, with smooth edges
+function fillShape(image, [x0, y0, x1, y1], inside, color) {
+  const samples = SUPERSAMPLE * SUPERSAMPLE;
+  for (let py = Math.floor(y0); py < Math.ceil(y1); py++) {
+    for (let px = Math.floor(x0); px < Math.ceil(x1); px++) {
+      let hits = 0;
+      for (let sy = 0; sy < SUPERSAMPLE; sy++) {
+        for (let sx = 0; sx < SUPERSAMPLE; sx++) {
+          if (inside(px + (sx + 0.5) / SUPERSAMPLE, py + (sy + 0.5) / SUPERSAMPLE)) hits++;
+        }
+      }
+      blend(image, px, py, color, hits / samples);
+    }
+  }
+}
+
+function fillRoundRect(image, x, y, width, height, radius, color) {
+  fillShape(image, [x, y, x + width, y + height], (px, py) => {
+    const dx = Math.max(x + radius - px, 0, px - (x + width - radius));
+    const dy = Math.max(y + radius - py, 0, py - (y + height - radius));
+    return dx * dx + dy * dy <= radius * radius;
+  }, color);
+}
+
+// Even-odd point-in-polygon test
+function insidePolygon(points, x, y) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function fillStar(image, cx, cy, radius, color) {
+  const points = Array.from({ length: 10 }, (_, i) => {
+    const r = i % 2 ? radius * 0.45 : radius;
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    return [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+  });
+  fillShape(image, [cx - radius, cy - radius, cx + radius, cy + radius], (x, y) => insidePolygon(points, x, y), color);
+}
+
+// Width of a line of (already fontText'd) text at a pixel scale
+function textWidth(text, scale) {
+  return text.length ? (text.length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+}
+
+function drawText(image, text, x, y, scale, color) {
+  [...text].forEach((char, index) => {
+    const columns = glyph(char);
+    columns.forEach((bits, column) => {
+      for (let row = 0; row < GLYPH_HEIGHT; row++) {
+        if (bits & (1 << row)) fillRect(image, x + (index * (GLYPH_WIDTH + 1) + column) * scale, y + row * scale, scale, scale, color);
+      }
+    });
+  });
+}
+
+// Cut text to fit `width`, ending in "..." when anything was dropped
+function truncate(text, width, scale) {
+  if (textWidth(text, scale) <= width) return text;
+  let cut = text;
+  while (cut && textWidth(`${cut}...`, scale) > width) cut = cut.slice(0, -1);
+  return `${cut.trimEnd()}...`;
+}
+
+// Greedy word wrap; a word longer than a line is split, and the last line is truncated
+function wrap(text, width, scale, maxLines) {
+  const perLine = Math.floor((width / scale + 1) / (GLYPH_WIDTH + 1));
+  const words = text.split(' ').flatMap(word => word.match(new RegExp(`.{1,${perLine}}`, 'g')) || []);
+  const lines = [];
+  for (const word of words) {
+    const last = lines.at(-1);
+    if (last !== undefined && textWidth(`${last} ${word}`, scale) <= width) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  }
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = truncate(`${kept[maxLines - 1]} ${lines[maxLines]}`, width, scale);
+  return kept;
+}
+
+// The biggest title scale whose lines fit in `height`, three lines at most
+function titleLayout(title, height) {
+  for (const scale of [10, 9, 8, 7, 6]) {
+    const lines = wrap(title, TEXT_WIDTH, scale, Infinity);
+    if (lines.length <= 3 && lines.length * scale * LINE_HEIGHT <= height) return { scale, lines };
+  }
+  return { scale: 5, lines: wrap(title, TEXT_WIDTH, 5, Math.min(3, Math.floor(height / (5 * LINE_HEIGHT)))) };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGB PNG, no filtering. The same pixels always give the same bytes, so an unchanged
+// card is never rewritten (see build-manifest.js).
+export function encodePng({ width, height, pixels }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 2, 0, 0, 0], 8);
+  const rows = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) pixels.copy(rows, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+export function renderOgCard({ kicker = '', title, stars = 0, subtitle = '', price = '', badges = [] }) {
+  const image = createImage(OG_WIDTH, OG_HEIGHT, COLORS.primary);
+  fillRect(image, 0, OG_HEIGHT - BAND_HEIGHT, OG_WIDTH, BAND_HEIGHT, COLORS.secondary);
+  fillRect(image, 0, 0, 16, OG_HEIGHT, COLORS.accent);
+
+  let y = 60;
+  drawText(image, truncate(fontText(kicker).toUpperCase(), TEXT_WIDTH, 4), PADDING, y, 4, COLORS.accent);
+  y += 32 + 16;
+  fillRect(image, PADDING, y, 96, 6, COLORS.accent);
+  y += 6 + 32;
+
+  const starsHeight = stars > 0 ? 60 : 0;
+  const subtitleHeight = subtitle ? 40 : 0;
+  const { scale, lines } = titleLayout(fontText(title), OG_HEIGHT - BAND_HEIGHT - 32 - y - starsHeight - subtitleHeight);
+  for (const line of lines) {
+    drawText(image, line, PADDING, y, scale, COLORS.white);
+    y += scale * LINE_HEIGHT;
+  }
+
+  if (stars > 0) {
+    for (let i = 0; i < 5; i++) fillStar(image, PADDING + 20 + i * 48, y + 24, 20, i < stars ? COLORS.accent : COLORS.secondary);
+    y += starsHeight;
+  }
+  if (subtitle) drawText(image, truncate(fontText(subtitle), TEXT_WIDTH, 4), PADDING, y + 8, 4, COLORS.accent2);
+
+  // Bottom band: price signal on the left, badges right-aligned, site name under both
+  const bandY = OG_HEIGHT - BAND_HEIGHT;
+  const priceText = truncate(fontText(price), TEXT_WIDTH / 2, 5);
+  drawText(image, priceText, PADDING, bandY + 28, 5, COLORS.white);
+  let badgeX = OG_WIDTH - PADDING;
+  for (const badge of badges.map(label => fontText(label).toUpperCase()).filter(Boolean).reverse()) {
+    const width = textWidth(badge, 3) + 36;
+    if (badgeX - width < PADDING + textWidth(priceText, 5) + 40) break;
+    badgeX -= width;
+    fillRoundRect(image, badgeX, bandY + 22, width, 48, 24, COLORS.accent);
+    drawText(image, badge, badgeX + 18, bandY + 35, 3, COLORS.primary);
+    badgeX -= 16;
+  }
+  drawText(image, 'HOTELSOFATHENS.COM', PADDING, bandY + 84, 2, COLORS.muted);
+
+  return encodePng(image);
+}
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { hashOf } from './build-manifest.js';
+
+// Hotel photos: each hotel's `photo.file` is read from photos/ and written to
+// dist/images/hotels/ as AVIF and WebP at every width below, never wider than the original.
+// File names carry a hash of the original, so a replaced photo gets new URLs despite the
+// year-long cache on /images/*.
+export const PHOTO_WIDTHS = [480, 800, 1200];
+export const PHOTO_FORMATS = [
+  { format: 'avif', type: 'image/avif', options: { quality: 50 } },
+  { format: 'webp', type: 'image/webp', options: { quality: 75 } }
+];
+
+// Credit and licence are shown under the photo; without them it can't be published
+const REQUIRED_FIELDS = [['credit', 'credit'], ['license', 'licence URL']];
+
+// Read every photo the given hotels use, size it, and plan its variants. Fails with one error
+// listing every hotel whose photo is missing its file, credit or licence.
+export async function readHotelPhotos(hotels, photosDir) {
+  const errors = [];
+  const photos = new Map();
+
+  for (const hotel of hotels.filter(h => h.photo)) {
+    const { photo } = hotel;
+    const original = path.join(photosDir, photo.file);
+    const label = `${hotel.name} (${hotel.id}): photo ${path.relative(path.dirname(photosDir), original)}`;
+    for (const [field, name] of REQUIRED_FIELDS) {
+      if (!photo[field]) errors.push(`${label} has no ${name}`);
+    }
+    if (!fs.existsSync(original)) {
+      errors.push(`${label} does not exist`);
+      continue;
+    }
+
+    const bytes = fs.readFileSync(original);
+    const { autoOrient } = await sharp(bytes).metadata();
+    const hash = hashOf(bytes, PHOTO_FORMATS).slice(0, 8);
+    const widths = [...new Set(PHOTO_WIDTHS.map(width => Math.min(width, autoOrient.width)))];
+    photos.set(hotel.id, {
+      ...photo,
+      original,
+      width: autoOrient.width,
+      height: autoOrient.height,
+      variants: PHOTO_FORMATS.flatMap(({ format, type }) => widths.map(width => ({
+        file: `images/hotels/${hotel.slug}-${hash}-${width}.${format}`,
+        format,
+        type,
+        width,
+        height: Math.round((width * autoOrient.height) / autoOrient.width)
+      })))
+    });
+  }
+
+  if (errors.length) {
+    throw new Error(`${errors.length} hotel photo problem${errors.length === 1 ? '' : 's'} (see photo in data/schema/hotel.schema.json):\n  ${errors.join('\n  ')}`);
+  }
+  return photos;
+}
+
+// One variant from readHotelPhotos(), encoded
+export function encodeVariant(photo, variant) {
+  const { options } = PHOTO_FORMATS.find(({ format }) => format === variant.format);
+  const image = sharp(photo.original).rotate().resize({ width: variant.width });
+  return image[variant.format](options).toBuffer();
+}
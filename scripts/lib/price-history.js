@@ -0,0 +1,85 @@
+import fs from 'fs';
+import { isPublished, computePriceStats } from './hotel-stats.js';
+
+// Trends on hotel pages and the site index cover this many of the latest observations
+export const TREND_WINDOW = 12;
+
+export function loadPriceHistory(file) {
+  if (!fs.existsSync(file)) return { currency: 'EUR', hotels: {}, index: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Observations are kept in date order; re-running a fetch on the same day replaces that day's entry
+function upsertByDate(entries, entry) {
+  const kept = entries.filter(existing => existing.date !== entry.date);
+  return [...kept, entry].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function percentChange(from, to) {
+  if (!from) return null;
+  return Math.round(((to - from) / from) * 1000) / 10;
+}
+
+// Append today's price for every published hotel, plus one site-wide index entry built from them.
+// Unreviewed discovery candidates get no history until an editor publishes them.
+export function recordPrices(history, hotels, today) {
+  const hotelHistory = { ...history.hotels };
+  for (const hotel of hotels.filter(isPublished)) {
+    if (typeof hotel.pricePerNight !== 'number') continue;
+    hotelHistory[hotel.id] = upsertByDate(hotelHistory[hotel.id] || [], { date: today, price: hotel.pricePerNight });
+  }
+
+  const { totalHotels, avgPrice, priceStats } = computePriceStats(hotels);
+  const bands = {};
+  for (const [band, stats] of Object.entries(priceStats)) bands[band] = { count: stats.count, avgPrice: stats.avgPrice };
+  const indexEntry = {
+    date: today,
+    hotelCount: totalHotels,
+    avgPrice,
+    medianPrice: median(hotels.filter(isPublished).map(hotel => hotel.pricePerNight)) || 0,
+    bands
+  };
+
+  return { ...history, hotels: hotelHistory, index: upsertByDate(history.index || [], indexEntry) };
+}
+
+// The index entry before the latest one, i.e. the previous fetch that priceStats deltas compare against
+export function previousPeriod(history) {
+  const index = history.index || [];
+  return index.length > 1 ? index[index.length - 2] : null;
+}
+
+// min/median/max and % change over the last `window` observations of one hotel
+export function priceTrend(observations = [], window = TREND_WINDOW) {
+  const recent = observations.slice(-window);
+  if (!recent.length) return null;
+  const prices = recent.map(observation => observation.price);
+  const first = recent[0];
+  const last = recent[recent.length - 1];
+  return {
+    count: recent.length,
+    since: first.date,
+    min: Math.min(...prices),
+    median: median(prices),
+    max: Math.max(...prices),
+    first: first.price,
+    last: last.price,
+    changePercent: percentChange(first.price, last.price)
+  };
+}
+
+// The site index over the same window, with each entry's change from the one before it
+export function priceIndexTrend(history, window = TREND_WINDOW) {
+  const index = history.index || [];
+  return index.slice(-window).map(entry => {
+    const previous = index[index.indexOf(entry) - 1];
+    return { ...entry, changePercent: previous ? percentChange(previous.avgPrice, entry.avgPrice) : null };
+  });
+}
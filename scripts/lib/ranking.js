@@ -0,0 +1,59 @@
+import fs from 'fs';
+import path from 'path';
+
+const hasAmenity = (hotel, pattern) => (hotel.amenities || []).some(amenity => pattern.test(amenity));
+const hasTag = (hotel, tag) => (hotel.bestFor || []).includes(tag);
+// Guest scores count from here: above it a hotel gains points, below it loses them
+const GUEST_SCORE_BASELINE = 8;
+
+// Everything a profile can weigh. Each factor reads one visible hotel field, so every
+// point in a score can be traced back to data shown on the hotel page. Yes/no factors
+// are 1 or 0; `format` shows the measured value of the others. Hotels without sourced guest
+// reviews (see reviews.js) get 0 for guestScore, neither rewarded nor penalised.
+export const RANKING_FACTORS = {
+  stars: { label: 'Star rating', unit: 'per star', value: hotel => hotel.starRating, format: value => `${value} star` },
+  acropolisView: { label: 'Acropolis view', unit: 'yes/no', value: hotel => (hotel.hasAcropolisView ? 1 : 0) },
+  rooftopBar: { label: 'Rooftop bar', unit: 'yes/no', value: hotel => (hotel.hasRooftopBar ? 1 : 0) },
+  rooftopRating: { label: 'Rooftop rating', unit: 'per point (0-5)', value: hotel => hotel.rooftopRating || 0, format: value => `${value}/5` },
+  price: { label: 'Nightly price', unit: 'per €100/night', value: hotel => hotel.pricePerNight / 100, format: value => `€${Math.round(value * 100)}` },
+  pool: { label: 'Pool', unit: 'yes/no', value: hotel => (hasAmenity(hotel, /pool/i) ? 1 : 0) },
+  spa: { label: 'Spa', unit: 'yes/no', value: hotel => (hasAmenity(hotel, /spa/i) ? 1 : 0) },
+  breakfast: { label: 'Breakfast', unit: 'yes/no', value: hotel => (hasAmenity(hotel, /breakfast/i) ? 1 : 0) },
+  nightlife: { label: 'Tagged for nightlife', unit: 'yes/no', value: hotel => (hasTag(hotel, 'Nightlife') ? 1 : 0) },
+  families: { label: 'Tagged for families', unit: 'yes/no', value: hotel => (hasTag(hotel, 'Families') ? 1 : 0) },
+  quiet: { label: 'Tagged as quiet', unit: 'yes/no', value: hotel => (hasTag(hotel, 'Quiet') ? 1 : 0) },
+  guestScore: {
+    label: 'Guest score',
+    unit: `per point above ${GUEST_SCORE_BASELINE}/10`,
+    value: hotel => (hotel.guestReviews ? Math.round((hotel.guestReviews.score - GUEST_SCORE_BASELINE) * 10) / 10 : 0),
+    format: value => `${(value + GUEST_SCORE_BASELINE).toFixed(1)}/10`
+  }
+};
+
+export function loadRankingProfiles(dataDir) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, 'ranking.json'), 'utf8'));
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Score one hotel: the weighted sum of its factors, with the contribution of each
+export function scoreHotel(hotel, profile) {
+  const breakdown = Object.entries(profile.weights).map(([factor, weight]) => {
+    const value = RANKING_FACTORS[factor].value(hotel);
+    return { factor, label: RANKING_FACTORS[factor].label, value, weight, points: round(value * weight) };
+  });
+  return {
+    profile: profile.id,
+    score: round(breakdown.reduce((sum, entry) => sum + entry.points, 0)),
+    breakdown
+  };
+}
+
+// Highest score first. Returns copies carrying `ranking` ({ profile, score, breakdown }, plus
+// `position`), so the same hotel can be ranked differently on different pages.
+export function rankHotels(hotels, profile) {
+  return hotels
+    .map(hotel => ({ ...hotel, ranking: scoreHotel(hotel, profile) }))
+    .sort((a, b) => b.ranking.score - a.ranking.score)
+    .map((hotel, index) => ({ ...hotel, ranking: { ...hotel.ranking, position: index + 1 } }));
+}
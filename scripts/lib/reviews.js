@@ -0,0 +1,217 @@
+import fs from 'fs';
+
+// Guest review scores per hotel (data/reviews.json). Each entry is one source's published score
+// on its own scale, with its review count, the date it was read and optional sub-scores. Pages,
+// rankings and JSON-LD only ever see scores that come from an entry here.
+export const REVIEW_ASPECTS = {
+  cleanliness: 'Cleanliness',
+  location: 'Location',
+  noise: 'Quiet rooms',
+  breakfast: 'Breakfast'
+};
+
+// Columns of a review import (npm run import-reviews); sub-score columns may be left empty
+export const REVIEW_CSV_COLUMNS = ['hotel', 'source', 'url', 'score', 'scale', 'count', 'date', ...Object.keys(REVIEW_ASPECTS)];
+
+export function loadReviews(file) {
+  if (!fs.existsSync(file)) return { sources: [], hotels: {} };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// A score on any scale as a score out of 10, to one decimal
+export function toTenPointScale(value, scale) {
+  return Math.round((value / scale) * 100) / 10;
+}
+
+function weightedAverage(pairs) {
+  const total = pairs.reduce((sum, [, weight]) => sum + weight, 0);
+  return Math.round((pairs.reduce((sum, [value, weight]) => sum + value * weight, 0) / total) * 10) / 10;
+}
+
+// One hotel's entries combined, or null without any. Every source's score and sub-scores are
+// put on a 10-point scale, then averaged weighted by review count times the source's weight, so
+// 2,000 reviews count for more than 40 and a source can be trusted more or less than others.
+export function summarizeReviews(entries = [], sources = []) {
+  if (!entries.length) return null;
+  const sourceById = new Map(sources.map(source => [source.id, source]));
+  const rows = entries
+    .map(entry => ({
+      ...entry,
+      name: sourceById.get(entry.source)?.name || entry.source,
+      normalized: toTenPointScale(entry.score, entry.scale),
+      weight: entry.count * (sourceById.get(entry.source)?.weight ?? 1)
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const aspects = Object.entries(REVIEW_ASPECTS)
+    .map(([id, label]) => {
+      const rated = rows.filter(row => typeof row.subscores?.[id] === 'number');
+      if (!rated.length) return null;
+      return {
+        id,
+        label,
+        score: weightedAverage(rated.map(row => [toTenPointScale(row.subscores[id], row.scale), row.weight])),
+        sources: rated.length
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    score: weightedAverage(rows.map(row => [row.normalized, row.weight])),
+    count: rows.reduce((sum, row) => sum + row.count, 0),
+    date: rows.map(row => row.date).sort().at(-1),
+    sources: rows,
+    aspects
+  };
+}
+
+// What the schema can't check: every entry names a known hotel and source, once per hotel,
+// with scores inside its scale and a date that has happened. Returns { path, code, message }.
+export function reviewProblems(data, { hotelIds, today }) {
+  const problems = [];
+  const sourceIds = new Set(data.sources.map(source => source.id));
+  const knownHotels = new Set(hotelIds);
+
+  for (const [hotel, entries] of Object.entries(data.hotels)) {
+    if (!knownHotels.has(hotel)) problems.push({ path: `/hotels/${hotel}`, code: 'unknown-hotel', message: `No hotel "${hotel}" in data/all-hotels.json` });
+    const seen = new Set();
+    entries.forEach((entry, index) => {
+      const at = `/hotels/${hotel}/${index}`;
+      if (!sourceIds.has(entry.source)) problems.push({ path: `${at}/source`, code: 'unknown-source', message: `Unknown review source "${entry.source}" (add it to sources)` });
+      if (seen.has(entry.source)) problems.push({ path: `${at}/source`, code: 'duplicate-source', message: `Second "${entry.source}" entry; keep one per source` });
+      seen.add(entry.source);
+      if (entry.score > entry.scale) problems.push({ path: `${at}/score`, code: 'score-above-scale', message: `Score ${entry.score} is above the scale of ${entry.scale}` });
+      for (const [aspect, value] of Object.entries(entry.subscores || {})) {
+        if (value > entry.scale) problems.push({ path: `${at}/subscores/${aspect}`, code: 'score-above-scale', message: `Sub-score ${value} is above the scale of ${entry.scale}` });
+      }
+      if (entry.date > today) problems.push({ path: `${at}/date`, code: 'future-date', message: `Date ${entry.date} is in the future` });
+    });
+  }
+  return problems;
+}
+
+// RFC 4180 rows: commas, double-quoted fields with "" for a quote, LF or CRLF line ends.
+// Each row keeps the line it starts on.
+function csvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+  return rows.filter(({ fields }) => fields.some(value => value.trim()));
+}
+
+// Review entries from CSV with a header row of REVIEW_CSV_COLUMNS (any order). Returns
+// { entries: [{ hotel, entry }], errors: ["file:line: message"] }.
+export function parseReviewsCsv(text, file) {
+  const [header, ...rows] = csvRows(text.replace(/^\uFEFF/, ''));
+  const errors = [];
+  const entries = [];
+  if (!header) return { entries, errors: [`${file}: empty file`] };
+
+  const columns = header.fields.map(name => name.trim());
+  const unknown = columns.filter(name => !REVIEW_CSV_COLUMNS.includes(name));
+  const missing = REVIEW_CSV_COLUMNS.slice(0, 7).filter(name => !columns.includes(name));
+  if (unknown.length) errors.push(`${file}:${header.line}: unknown column${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} (expected ${REVIEW_CSV_COLUMNS.join(', ')})`);
+  if (missing.length) errors.push(`${file}:${header.line}: missing column${missing.length === 1 ? '' : 's'} ${missing.join(', ')}`);
+  if (errors.length) return { entries, errors };
+
+  for (const { line, fields } of rows) {
+    const value = Object.fromEntries(columns.map((name, index) => [name, (fields[index] ?? '').trim()]));
+    const fail = message => errors.push(`${file}:${line}: ${message}`);
+    if (fields.length !== columns.length) {
+      fail(`${fields.length} fields, expected ${columns.length}`);
+      continue;
+    }
+    // Scores may use a decimal comma ("8,9"); counts may use thousands separators ("1,200")
+    const number = name => {
+      const parsed = Number(value[name].replace(',', '.'));
+      if (value[name] === '' || !Number.isFinite(parsed)) fail(`${name} "${value[name]}" is not a number`);
+      return parsed;
+    };
+    const integer = name => {
+      const parsed = Number(value[name].replace(/[,.\s]/g, ''));
+      if (!/^\d{1,3}([,.\s]?\d{3})*$/.test(value[name]) || !Number.isInteger(parsed)) fail(`${name} "${value[name]}" is not a whole number`);
+      return parsed;
+    };
+    for (const name of ['hotel', 'source', 'url', 'date']) {
+      if (!value[name]) fail(`${name} is empty`);
+    }
+    const subscores = {};
+    for (const aspect of Object.keys(REVIEW_ASPECTS)) {
+      if (value[aspect]) subscores[aspect] = number(aspect);
+    }
+    entries.push({
+      hotel: value.hotel,
+      entry: {
+        source: value.source,
+        url: value.url,
+        score: number('score'),
+        scale: number('scale'),
+        count: integer('count'),
+        date: value.date,
+        ...(Object.keys(subscores).length && { subscores })
+      }
+    });
+  }
+  return { entries: errors.length ? [] : entries, errors };
+}
+
+// Put imported entries into the data, replacing each hotel's earlier entry from the same source.
+// Returns the updated data and how many entries were added or replaced.
+export function mergeReviews(data, imported) {
+  const hotels = Object.fromEntries(Object.entries(data.hotels).map(([hotel, entries]) => [hotel, [...entries]]));
+  let added = 0;
+  let replaced = 0;
+  for (const { hotel, entry } of imported) {
+    const entries = hotels[hotel] || (hotels[hotel] = []);
+    const index = entries.findIndex(existing => existing.source === entry.source);
+    if (index === -1) {
+      entries.push(entry);
+      added++;
+    } else {
+      entries[index] = entry;
+      replaced++;
+    }
+  }
+  const sorted = Object.fromEntries(Object.keys(hotels).sort().map(hotel => [
+    hotel,
+    hotels[hotel].sort((a, b) => a.source.localeCompare(b.source))
+  ]));
+  return { data: { ...data, hotels: sorted }, added, replaced };
+}
@@ -0,0 +1,95 @@
+import { escapeHtml } from './templates.js';
+
+export const SITE_URL = 'https://hotelsofathens.com';
+
+// English is the source; translate-site.mjs writes the others to dist/<lang>/
+export const LANGUAGES = [
+  ['en', 'English'],
+  ['de', 'Deutsch'],
+  ['el', 'Ελληνικά']
+];
+
+// Every page the site publishes, in sitemap order. generate.js builds the table from its data and
+// saves it in the build manifest, where translate-site.mjs reads it back. Each route has:
+//   path       URL path, e.g. /hotel/<slug>
+//   file       where it is written, relative to dist/
+//   priority   sitemap priority of the English page (translations get 80% of it)
+//   group      which split sitemap it goes in (see sitemap.js)
+//   noindex    adds a noindex robots meta tag
+//   sitemap    listed in the sitemap (not for noindex pages)
+//   translate  translated into every language; otherwise English only
+export function siteRoutes({ neighborhoods, hotels, guides, comparisonSlugs }) {
+  const route = (urlPath, priority, group, { noindex = false, sitemap = !noindex, translate = true } = {}) => ({
+    path: urlPath,
+    file: routeFile(urlPath),
+    priority,
+    group,
+    noindex,
+    sitemap,
+    translate
+  });
+  return [
+    route('/', '1.0', 'pages'),
+    // The form posts to Formspree with English field names and lands on /thank-you
+    route('/contact', '0.5', 'pages', { translate: false }),
+    route('/thank-you', '0.1', 'pages', { noindex: true, translate: false }),
+    route('/map', '0.6', 'pages'),
+    route('/search', '0.6', 'pages'),
+    route('/compare', '0.6', 'pages'),
+    ...comparisonSlugs.map(slug => route(`/compare/${slug}`, '0.65', 'pages')),
+    ...guides.map(guide => route(`/${guide.slug}`, String(guide.sitemapPriority ?? 0.82), 'guides')),
+    ...neighborhoods.map(hood => route(`/athens-hotels/${hood.id}`, '0.9', 'neighborhoods')),
+    ...hotels.map(hotel => route(`/hotel/${hotel.slug}`, '0.7', 'hotels'))
+  ];
+}
+
+export function routeFile(urlPath) {
+  return urlPath === '/' ? 'index.html' : `${urlPath.slice(1)}.html`;
+}
+
+export function localizedPath(lang, urlPath) {
+  const cleanPath = urlPath === '/' ? '/' : `/${urlPath.replace(/^\/+/, '').replace(/\.html$/, '')}`;
+  if (lang === 'en') return cleanPath;
+  return cleanPath === '/' ? `/${lang}/` : `/${lang}${cleanPath}`;
+}
+
+export function localizedFile(lang, route) {
+  return lang === 'en' ? route.file : `${lang}/${route.file}`;
+}
+
+// Languages a route is meant to be published in
+export function routeLanguages(route) {
+  return route.translate ? LANGUAGES.map(([lang]) => lang) : ['en'];
+}
+
+// Sitemap priority of one language version
+export function routePriority(route, lang) {
+  return lang === 'en' ? route.priority : String(Math.round(Number(route.priority) * 80) / 100);
+}
+
+export function buildHreflangLinks(urlPath, langs) {
+  return [
+    ...langs.map(lang => `<link rel="alternate" hreflang="${lang}" href="${escapeHtml(SITE_URL + localizedPath(lang, urlPath))}">`),
+    `<link rel="alternate" hreflang="x-default" href="${escapeHtml(SITE_URL + localizedPath('en', urlPath))}">`
+  ].join('\n  ');
+}
+
+export function buildLanguageSelector(urlPath, activeLang, langs) {
+  return `<div class="language-selector" aria-label="Language selector">
+        ${LANGUAGES.filter(([lang]) => langs.includes(lang)).map(([lang, label]) => {
+          const active = lang === activeLang ? ' aria-current="true"' : '';
+          return `<a href="${escapeHtml(localizedPath(lang, urlPath))}" hreflang="${lang}" lang="${lang}"${active}>${label}</a>`;
+        }).join('')}
+      </div>`;
+}
+
+export function robotsMeta(route) {
+  return route.noindex ? '<meta name="robots" content="noindex, follow">' : '';
+}
+
+export function robotsTxt() {
+  return `User-agent: *
+Allow: /
+
+Sitemap: ${SITE_URL}/sitemap.xml`;
+}
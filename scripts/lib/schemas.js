@@ -0,0 +1,26 @@
+import fs from 'fs';
+import path from 'path';
+import Ajv from 'ajv';
+
+// One Ajv instance with every data/schema/*.schema.json registered under its file name
+export function loadSchemas(schemaDir) {
+  const ajv = new Ajv({ allErrors: true });
+  for (const file of fs.readdirSync(schemaDir).filter(name => name.endsWith('.schema.json'))) {
+    ajv.addSchema(JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf8')), file);
+  }
+  return ajv;
+}
+
+// Ajv errors as { path, message }, minus "must match else schema", which only repeats
+// the required-field errors reported alongside it. Unknown properties point at the property.
+export function schemaErrors(validate) {
+  return (validate.errors || [])
+    .filter(error => error.keyword !== 'if')
+    .map(error => {
+      const extra = error.params?.additionalProperty;
+      return {
+        path: extra ? `${error.instancePath}/${extra}` : error.instancePath,
+        message: extra ? `unknown property "${extra}"` : error.message
+      };
+    });
+}
@@ -0,0 +1,35 @@
+import fs from 'fs';
+import path from 'path';
+
+export function loadSeasons(dataDir) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, 'seasons.json'), 'utf8')).seasons;
+}
+
+// month is 1-12
+export function seasonForMonth(seasons, month) {
+  return seasons.find(season => season.months.includes(month)) || null;
+}
+
+// Lowest and highest nightly rate, and the season the lowest ("from") rate belongs to.
+// Hotels without seasonal rates have a single price and no season.
+export function seasonalRange(hotel, seasons) {
+  const rates = seasons
+    .filter(season => typeof hotel.seasonalPrices?.[season.id] === 'number')
+    .map(season => ({ season, price: hotel.seasonalPrices[season.id] }));
+  if (!rates.length) return { min: hotel.pricePerNight, max: hotel.pricePerNight, fromSeason: null };
+  const lowest = rates.reduce((a, b) => (b.price < a.price ? b : a));
+  return {
+    min: lowest.price,
+    max: Math.max(...rates.map(rate => rate.price)),
+    fromSeason: lowest.season
+  };
+}
+
+// One row per calendar month: { month, season, price }, or [] for hotels without seasonal rates
+export function monthlyPrices(hotel, seasons) {
+  if (!hotel.seasonalPrices) return [];
+  return Array.from({ length: 12 }, (_, index) => {
+    const season = seasonForMonth(seasons, index + 1);
+    return { month: index + 1, season, price: season ? hotel.seasonalPrices[season.id] ?? null : null };
+  });
+}
@@ -0,0 +1,53 @@
+import { SITE_URL, localizedPath, routePriority } from './routes.js';
+import { escapeHtml } from './templates.js';
+
+// sitemap.xml stays a single <urlset> until it passes this many URLs, then becomes a
+// <sitemapindex> pointing at one sitemap per group (sitemap-hotels.xml, sitemap-de.xml, ...)
+export const SITEMAP_SPLIT_AT = 500;
+
+// Sitemap entries for every route marked `sitemap`, in each language `languagesFor(route)` lists.
+// English URLs go in their route's group, translations in one group per language.
+export function sitemapUrls(routes, { languagesFor, lastmod }) {
+  return routes.filter(route => route.sitemap).flatMap(route => languagesFor(route).map(lang => ({
+    loc: `${SITE_URL}${localizedPath(lang, route.path)}`,
+    lastmod: lastmod(route, lang),
+    priority: routePriority(route, lang),
+    group: lang === 'en' ? route.group : lang
+  })));
+}
+
+function urlset(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(u => `  <url>
+    <loc>${escapeHtml(u.loc)}</loc>
+    <lastmod>${u.lastmod}</lastmod>
+    <priority>${u.priority}</priority>
+  </url>`).join('\n')}
+</urlset>`;
+}
+
+// The sitemap files for a list of { loc, lastmod, priority, group } URLs, as [{ file, xml }]
+// relative to dist/. Each child sitemap's lastmod in the index is its newest URL.
+export function buildSitemaps(urls, splitAt = SITEMAP_SPLIT_AT) {
+  if (urls.length <= splitAt) return [{ file: 'sitemap.xml', xml: urlset(urls) }];
+
+  const groups = new Map();
+  for (const url of urls) {
+    if (!groups.has(url.group)) groups.set(url.group, []);
+    groups.get(url.group).push(url);
+  }
+  const children = [...groups].map(([group, groupUrls]) => ({
+    file: `sitemap-${group}.xml`,
+    xml: urlset(groupUrls),
+    lastmod: groupUrls.map(u => u.lastmod).sort().at(-1)
+  }));
+  const index = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${children.map(child => `  <sitemap>
+    <loc>${escapeHtml(`${SITE_URL}/${child.file}`)}</loc>
+    <lastmod>${child.lastmod}</lastmod>
+  </sitemap>`).join('\n')}
+</sitemapindex>`;
+  return [{ file: 'sitemap.xml', xml: index }, ...children.map(({ file, xml }) => ({ file, xml }))];
+}
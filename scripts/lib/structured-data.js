@@ -0,0 +1,84 @@
+import fs from 'fs';
+
+const DATA_TYPES = {
+  Text: value => typeof value === 'string',
+  URL: value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value),
+  Number: value => typeof value === 'number' && Number.isFinite(value),
+  Integer: value => Number.isInteger(value),
+  Boolean: value => typeof value === 'boolean',
+  Date: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value),
+  DateTime: value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value),
+  Time: value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(value)
+};
+
+// data/schema/schema-org.json, with each type's properties merged with its parents'
+export function loadVocabulary(file) {
+  const { types } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const resolved = new Map();
+
+  function resolve(name) {
+    if (resolved.has(name)) return resolved.get(name);
+    const type = types[name];
+    if (!type) throw new Error(`schema-org.json: unknown parent type "${name}"`);
+    const parents = (type.subClassOf || []).map(resolve);
+    const entry = {
+      ancestors: new Set([name, ...parents.flatMap(parent => [...parent.ancestors])]),
+      properties: Object.assign({}, ...parents.map(parent => parent.properties), type.properties)
+    };
+    resolved.set(name, entry);
+    return entry;
+  }
+
+  for (const name of Object.keys(types)) resolve(name);
+  return resolved;
+}
+
+// Check one JSON-LD item against the vocabulary: every @type is known, every property belongs
+// to its type, and every value is one of the property's accepted types. Strings listed in
+// `placeholders` (filled in after rendering) pass any data type check.
+// Returns errors as "<JSON pointer>: message".
+export function checkStructuredData(item, vocabulary, { placeholders = [] } = {}) {
+  const errors = [];
+
+  function checkNode(node, pointer) {
+    const type = vocabulary.get(node['@type']);
+    if (!type) {
+      errors.push(`${pointer}/@type: unknown type "${node['@type']}"`);
+      return;
+    }
+    for (const [property, value] of Object.entries(node)) {
+      if (property.startsWith('@')) continue;
+      const ranges = type.properties[property];
+      if (!ranges) {
+        errors.push(`${pointer}/${property}: not a property of ${node['@type']}`);
+        continue;
+      }
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach((entry, index) => checkValue(entry, ranges, Array.isArray(value) ? `${pointer}/${property}/${index}` : `${pointer}/${property}`));
+    }
+  }
+
+  function checkValue(value, ranges, pointer) {
+    if (value && typeof value === 'object') {
+      if (!value['@type']) {
+        errors.push(`${pointer}: nested object needs an @type`);
+        return;
+      }
+      const type = vocabulary.get(value['@type']);
+      if (type && !ranges.some(range => type.ancestors.has(range))) {
+        errors.push(`${pointer}: ${value['@type']} is not one of ${ranges.join(', ')}`);
+        return;
+      }
+      checkNode(value, pointer);
+      return;
+    }
+    if (placeholders.includes(value)) return;
+    if (!ranges.some(range => DATA_TYPES[range]?.(value))) {
+      errors.push(`${pointer}: ${JSON.stringify(value)} is not ${ranges.join(' or ')}`);
+    }
+  }
+
+  if (item['@context'] !== 'https://schema.org') errors.push('/@context: should be "https://schema.org"');
+  checkNode(item, '');
+  return errors;
+}
@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+
+// A small mustache-style template language for templates/*.html:
+//   {{NAME}}  {{hotel.name}}           value, HTML-escaped
+//   {{{CONTENT}}}                      value as-is, for HTML built elsewhere
+//   {{#if X}} … {{else}} … {{/if}}     false, empty string, 0, null and [] are falsy
+//   {{#each LIST}} … {{/each}}         inside, names resolve on the item first; {{.}} is the item
+//   {{> hotel-card}}                   templates/partials/hotel-card.html with the current context
+//   {{> faq FAQS}}                     … or with FAQS as its context
+//   {{! comment }}
+// A name that resolves to nothing, an unknown tag or an unclosed block is an error with the
+// template's file and line, so a typo fails the build instead of shipping "{{NAME}}".
+// Block tags on a line of their own don't leave a blank line behind.
+
+const TAG = /\{\{\{\s*([^{}]*?)\s*\}\}\}|\{\{\s*([^{}]*?)\s*\}\}/g;
+const NAME = /^(\.|[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)*)$/;
+
+// Safe in text and in quoted attributes. Braces are escaped too, so a value can never pass for
+// a {{PLACEHOLDER}} (see assertNoPlaceholders).
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;')
+    .replace(/\{/g, '&#123;')
+    .replace(/\}/g, '&#125;');
+}
+
+// JSON for an inline <script> element. Inside strings, "<" and ">" are escaped so a value
+// can't close the element ("</script>") or open a comment, and braces for the same reason as
+// escapeHtml. Strings in `keep` (placeholders filled in later) are left alone.
+export function scriptJson(value, { keep = [] } = {}) {
+  const kept = new Set(keep.map(string => JSON.stringify(string)));
+  return JSON.stringify(value, null, 2).replace(/"(?:[^"\\]|\\.)*"/g, literal => (kept.has(literal)
+    ? literal
+    : literal.replace(/[<>{}]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)));
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+// Parse one template into a tree of text, value, block and partial nodes
+function compile(source, file) {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+
+  const fail = (index, message) => {
+    throw new Error(`${file}:${lineAt(source, index)}: ${message}`);
+  };
+  // Nodes go into the open block's {{else}} branch once it has one
+  const target = () => stack.at(-1).otherwise || stack.at(-1).children;
+  const text = value => {
+    if (value) target().push({ type: 'text', value });
+  };
+
+  for (const match of source.matchAll(TAG)) {
+    const [tag, raw, body] = match;
+    let start = match.index;
+    let end = start + tag.length;
+    const line = lineAt(source, start);
+    const block = raw === undefined && /^[#/!]|^else$/.test(body);
+
+    if (block) {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      if (!source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+    text(source.slice(cursor, start));
+    cursor = end;
+
+    if (raw !== undefined) {
+      if (!NAME.test(raw)) fail(match.index, `unknown tag ${tag}`);
+      target().push({ type: 'value', name: raw, raw: true, line });
+      continue;
+    }
+    if (body.startsWith('!')) continue;
+
+    const [keyword, ...args] = body.split(/\s+/);
+    if (keyword === '#if' || keyword === '#each') {
+      if (args.length !== 1 || !NAME.test(args[0])) fail(match.index, `${keyword} needs one name: ${tag}`);
+      const node = { type: keyword.slice(1), name: args[0], children: [], otherwise: null, line };
+      target().push(node);
+      stack.push(node);
+    } else if (keyword === 'else') {
+      const node = stack.at(-1);
+      if (node.type !== 'if' || node.otherwise) fail(match.index, '{{else}} outside {{#if}}');
+      node.otherwise = [];
+    } else if (keyword === '/if' || keyword === '/each') {
+      const node = stack.pop();
+      if (node.type !== keyword.slice(1)) fail(match.index, `${tag} without a matching {{#${keyword.slice(1)}}}`);
+    } else if (keyword === '>') {
+      if (args.length < 1 || args.length > 2 || (args[1] && !NAME.test(args[1]))) fail(match.index, `partial needs a name and at most one context: ${tag}`);
+      target().push({ type: 'partial', partial: args[0], name: args[1], line });
+    } else if (keyword.startsWith('>') && args.length < 2) {
+      target().push({ type: 'partial', partial: keyword.slice(1), name: args[0], line });
+    } else if (args.length === 0 && NAME.test(keyword)) {
+      target().push({ type: 'value', name: keyword, raw: false, line });
+    } else {
+      fail(match.index, `unknown tag ${tag}`);
+    }
+  }
+  text(source.slice(cursor));
+
+  if (stack.length > 1) {
+    const open = stack.at(-1);
+    throw new Error(`${file}:${open.line}: {{#${open.type} ${open.name}}} is never closed`);
+  }
+  return root.children;
+}
+
+// Resolve a dotted name against the context stack, innermost first. `found` is false when no
+// context has the first part of the name at all.
+function lookup(name, scopes) {
+  if (name === '.') return { found: true, value: scopes.at(-1) };
+  const [first, ...rest] = name.split('.');
+  const scope = [...scopes].reverse().find(candidate => candidate != null && typeof candidate === 'object' && first in candidate);
+  if (!scope) return { found: false, value: undefined };
+  return { found: true, value: rest.reduce((value, key) => value?.[key], scope[first]) };
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// Every template in `dir` plus its partials/ folder, compiled up front so a broken template
+// stops the build before any page is written
+export function loadTemplates(dir) {
+  const sources = {};
+  const compiled = {};
+  const labels = {};
+  const partialsDir = path.join(dir, 'partials');
+  const files = [
+    ...fs.readdirSync(dir).filter(file => file.endsWith('.html')).map(file => [file.replace(/\.html$/, ''), path.join(dir, file)]),
+    ...(fs.existsSync(partialsDir) ? fs.readdirSync(partialsDir) : []).filter(file => file.endsWith('.html')).map(file => [`partials/${file.replace(/\.html$/, '')}`, path.join(partialsDir, file)])
+  ];
+  for (const [name, file] of files) {
+    sources[name] = fs.readFileSync(file, 'utf8');
+    labels[name] = path.relative(path.dirname(dir), file);
+    compiled[name] = compile(sources[name], labels[name]);
+  }
+
+  function renderNodes(nodes, scopes, name) {
+    let out = '';
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        out += node.value;
+      } else if (node.type === 'value') {
+        const { value } = lookup(node.name, scopes);
+        if (value === undefined) throw new Error(`${labels[name]}:${node.line}: unresolved {{${node.name}}}`);
+        out += node.raw ? String(value ?? '') : escapeHtml(value);
+      } else if (node.type === 'if') {
+        const { found, value } = lookup(node.name, scopes);
+        if (!found) throw new Error(`${labels[name]}:${node.line}: unresolved {{#if ${node.name}}}`);
+        out += renderNodes(truthy(value) ? node.children : node.otherwise || [], scopes, name);
+      } else if (node.type === 'each') {
+        const { value } = lookup(node.name, scopes);
+        if (!Array.isArray(value)) throw new Error(`${labels[name]}:${node.line}: {{#each ${node.name}}} needs a list`);
+        for (const item of value) out += renderNodes(node.children, [...scopes, item], name);
+      } else {
+        const partial = `partials/${node.partial}`;
+        if (!compiled[partial]) throw new Error(`${labels[name]}:${node.line}: no partial ${path.join(path.basename(dir), `${partial}.html`)}`);
+        let context = scopes;
+        if (node.name) {
+          const { value } = lookup(node.name, scopes);
+          if (value === undefined) throw new Error(`${labels[name]}:${node.line}: unresolved {{> ${node.partial} ${node.name}}}`);
+          context = [...scopes, value];
+        }
+        out += renderNodes(compiled[partial], context, partial);
+      }
+    }
+    return out;
+  }
+
+  return {
+    sources,
+    // render('hotel', context) or render('partials/hotel-card', context)
+    render(name, context) {
+      if (!compiled[name]) throw new Error(`No template ${path.join(path.basename(dir), `${name}.html`)}`);
+      return renderNodes(compiled[name], [context], name);
+    }
+  };
+}
+
+// Anything still shaped like a placeholder once a page is rendered came from a value built
+// outside the templates. `allowed` lists the ones filled in later (build-manifest.js).
+export function assertNoPlaceholders(html, page, allowed = []) {
+  for (const match of html.matchAll(/\{\{\{?\s*[#/>!]?\s*[\w.-]+\s*\}?\}\}/g)) {
+    if (allowed.includes(match[0])) continue;
+    throw new Error(`${page}: unresolved ${match[0]} on line ${lineAt(html, match.index)}`);
+  }
+}
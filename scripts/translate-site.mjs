@@ -1,14 +1,19 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { buildSitemaps, sitemapUrls } from './lib/sitemap.js';
+import { readManifest } from './lib/build-manifest.js';
+import { SITE_URL, LANGUAGES, localizedPath, localizedFile, routeLanguages, buildHreflangLinks, buildLanguageSelector } from './lib/routes.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.join(__dirname, '..');
 const distDir = path.join(rootDir, 'dist');
 const dataDir = path.join(rootDir, 'data');
-const siteUrl = 'https://hotelsofathens.com';
+const siteUrl = SITE_URL;
 const model = process.env.OPENROUTER_MODEL || 'qwen/qwen3-235b-a22b-2507';
 const cacheDir = path.join(rootDir, '.translation-cache');
+const manifestFile = path.join(rootDir, '.build-manifest.json');
+const today = new Date().toISOString().split('T')[0];
 
 const languages = {
   de: {
@@ -25,11 +30,8 @@ const languages = {
   }
 };
 
-const languageLabels = {
-  en: 'English',
-  de: 'Deutsch',
-  el: 'Ελληνικά'
-};
+// Every page links to all of its translations, since this script writes them all
+const allLanguages = LANGUAGES.map(([lang]) => lang);
 
 function readEnvValue(name) {
   if (process.env[name]) return process.env[name];
@@ -53,7 +55,6 @@ function walkHtmlFiles(dir) {
   for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
     const full = path.join(dir, entry.name);
     if (entry.isDirectory()) {
-      if (entry.name === 'de' || entry.name === 'el') continue;
       files.push(...walkHtmlFiles(full));
     } else if (entry.name.endsWith('.html')) {
       files.push(full);
@@ -62,43 +63,20 @@ function walkHtmlFiles(dir) {
   return files;
 }
 
-function urlPathForFile(file) {
-  const rel = path.relative(distDir, file).replaceAll(path.sep, '/');
-  if (rel === 'index.html') return '/';
-  return `/${rel.replace(/\.html$/, '')}`;
-}
-
-function localizedPath(lang, urlPath) {
-  const clean = urlPath === '/' ? '/' : `/${urlPath.replace(/^\/+/, '')}`;
-  if (lang === 'en') return clean;
-  return clean === '/' ? `/${lang}/` : `/${lang}${clean}`;
-}
-
-function localizedFilePath(lang, file) {
-  const rel = path.relative(distDir, file);
-  return path.join(distDir, lang, rel);
-}
-
-function buildLanguageSelector(urlPath, activeLang) {
-  return `<div class="language-selector" aria-label="Language selector">
-        ${Object.entries(languageLabels).map(([lang, label]) => {
-          const active = lang === activeLang ? ' aria-current="true"' : '';
-          return `<a href="${localizedPath(lang, urlPath)}" hreflang="${lang}" lang="${lang}"${active}>${label}</a>`;
-        }).join('')}
-      </div>`;
-}
-
-function buildHreflangLinks(urlPath) {
-  const links = ['en', 'de', 'el'].map(lang => (
-    `<link rel="alternate" hreflang="${lang}" href="${siteUrl}${localizedPath(lang, urlPath)}">`
-  ));
-  links.push(`<link rel="alternate" hreflang="x-default" href="${siteUrl}${localizedPath('en', urlPath)}">`);
-  return links.join('\n  ');
+// Pages are rewritten only when their content changes, so unchanged files keep their mtime
+function writeIfChanged(file, html) {
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === html) return false;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, html);
+  return true;
 }
 
-function htmlEscape(value) {
+// Source strings are sent as they appear in the HTML, entities included, and the model is asked
+// to keep them. Whatever else comes back is escaped, so a translation can't add markup or end an
+// attribute, and entities it kept aren't escaped twice.
+function escapeTranslation(value) {
   return String(value)
-    .replace(/&/g, '&amp;')
+    .replace(/&(?!(?:[a-z][a-z\d]*|#\d+|#x[\da-f]+);)/gi, '&amp;')
     .replace(/"/g, '&quot;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;');
@@ -137,7 +115,7 @@ function collectStrings(html, set) {
   }
 
   const attrPatterns = [
-    /(<meta\s+(?:name|property)="(?:description|og:title|og:description|twitter:title|twitter:description)"\s+content=")([^"]*)(")/gi,
+    /(<meta\s+(?:name|property)="(?:description|og:title|og:description|og:image:alt|twitter:title|twitter:description|twitter:image:alt)"\s+content=")([^"]*)(")/gi,
     /(\s(?:aria-label|alt|title)=")([^"]*)(")/gi
   ];
   for (const pattern of attrPatterns) {
@@ -147,7 +125,8 @@ function collectStrings(html, set) {
   }
 }
 
-function applyTranslations(html, translations, lang, urlPath) {
+// translatedPaths: the routes that exist in every language, so links to them can be localized
+function applyTranslations(html, translations, lang, urlPath, translatedPaths) {
   const { masked, masks } = maskedBlocks(html);
   const parts = masked.split(/(<[^>]+>)/g).map(part => {
     if (!part || part.startsWith('<')) return part;
@@ -155,27 +134,29 @@ function applyTranslations(html, translations, lang, urlPath) {
     const trailing = part.match(/\s*$/)[0];
     const trimmed = part.trim();
     if (!shouldTranslate(trimmed)) return part;
-    return `${leading}${translations[trimmed] || trimmed}${trailing}`;
+    return `${leading}${translations[trimmed] ? escapeTranslation(translations[trimmed]) : trimmed}${trailing}`;
   });
   let out = restoreMaskedBlocks(parts.join(''), masks);
 
-  out = out.replace(/(<meta\s+(?:name|property)="(?:description|og:title|og:description|twitter:title|twitter:description)"\s+content=")([^"]*)(")/gi, (full, pre, value, post) => {
+  out = out.replace(/(<meta\s+(?:name|property)="(?:description|og:title|og:description|og:image:alt|twitter:title|twitter:description|twitter:image:alt)"\s+content=")([^"]*)(")/gi, (full, pre, value, post) => {
     const translated = translations[value.trim()] || value;
-    return `${pre}${htmlEscape(translated)}${post}`;
+    return `${pre}${escapeTranslation(translated)}${post}`;
   });
   out = out.replace(/(\s(?:aria-label|alt|title)=")([^"]*)(")/gi, (full, pre, value, post) => {
     const translated = translations[value.trim()] || value;
-    return `${pre}${htmlEscape(translated)}${post}`;
+    return `${pre}${escapeTranslation(translated)}${post}`;
   });
 
   out = out.replace(/<html lang="[^"]*"/, `<html lang="${languages[lang].htmlLang}"`);
   out = out.replace(/<link rel="canonical" href="[^"]*">/, `<link rel="canonical" href="${siteUrl}${localizedPath(lang, urlPath)}">`);
-  out = out.replace(/(?:\s*<link rel="alternate" hreflang="[^"]+" href="[^"]+">)+/, `\n  ${buildHreflangLinks(urlPath)}`);
+  out = out.replace(/(?:\s*<link rel="alternate" hreflang="[^"]+" href="[^"]+">)+/, `\n  ${buildHreflangLinks(urlPath, allLanguages)}`);
   out = out.replace(/<meta property="og:url" content="[^"]*">/, `<meta property="og:url" content="${siteUrl}${localizedPath(lang, urlPath)}">`);
-  out = out.replace(/<div class="language-selector"[\s\S]*?<\/div>/, buildLanguageSelector(urlPath, lang));
+  out = out.replace(/<div class="language-selector"[\s\S]*?<\/div>/, buildLanguageSelector(urlPath, lang, allLanguages));
 
   out = out.replace(/\s(href|src)="\/(?!\/|css\/|images\/|favicon\.ico|de\/|el\/|#)([^"]*)"/g, (match, attr, target) => {
     if (/^(mailto:|tel:)/.test(target)) return match;
+    // English-only pages such as /contact stay linked in English
+    if (!translatedPaths.has(`/${target.split(/[?#]/)[0].replace(/\/$/, '')}`)) return match;
     return ` ${attr}="/${lang}/${target}"`;
   });
 
@@ -212,6 +193,30 @@ function saveCache(lang, cache) {
   fs.writeFileSync(cachePath(lang), JSON.stringify(cache, null, 2));
 }
 
+// When each cached string was translated, kept beside the cache so its format doesn't change.
+// Strings cached before dates were recorded have none and don't move a page's lastmod.
+function cacheDatesPath(lang) {
+  return path.join(cacheDir, `${lang}.dates.json`);
+}
+
+function loadCacheDates(lang) {
+  const file = cacheDatesPath(lang);
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function saveCacheDates(lang, dates) {
+  fs.mkdirSync(cacheDir, { recursive: true });
+  fs.writeFileSync(cacheDatesPath(lang), JSON.stringify(dates, null, 2));
+}
+
+// Newest translation date among the strings on one page
+function newestTranslation(html, dates) {
+  const strings = new Set();
+  collectStrings(html, strings);
+  return [...strings].map(item => dates[item]).filter(Boolean).sort().at(-1);
+}
+
 function parseJsonResponse(text) {
   const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '');
   return JSON.parse(trimmed);
@@ -302,53 +307,70 @@ function chunkItems(items, maxChars = Number(process.env.TRANSLATE_MAX_CHARS ||
   return chunks;
 }
 
-function updateEnglishPages(files) {
-  for (const file of files) {
-    const urlPath = urlPathForFile(file);
-    let html = fs.readFileSync(file, 'utf8');
-    html = html.replace(/<link rel="canonical" href="[^"]*">/, `<link rel="canonical" href="${siteUrl}${localizedPath('en', urlPath)}">`);
-    html = html.replace(/(?:\s*<link rel="alternate" hreflang="[^"]+" href="[^"]+">)+/, `\n  ${buildHreflangLinks(urlPath)}`);
-    html = html.replace(/<div class="language-selector"[\s\S]*?<\/div>/, buildLanguageSelector(urlPath, 'en'));
-    fs.writeFileSync(file, html);
+// English page of a route
+function englishFile(route) {
+  return path.join(distDir, route.file);
+}
+
+function updateEnglishPages(routes) {
+  for (const route of routes) {
+    let html = fs.readFileSync(englishFile(route), 'utf8');
+    html = html.replace(/<link rel="canonical" href="[^"]*">/, `<link rel="canonical" href="${siteUrl}${localizedPath('en', route.path)}">`);
+    html = html.replace(/(?:\s*<link rel="alternate" hreflang="[^"]+" href="[^"]+">)+/, `\n  ${buildHreflangLinks(route.path, allLanguages)}`);
+    html = html.replace(/<div class="language-selector"[\s\S]*?<\/div>/, buildLanguageSelector(route.path, 'en', allLanguages));
+    writeIfChanged(englishFile(route), html);
   }
 }
 
-function updateSitemap(files) {
-  const today = new Date().toISOString().split('T')[0];
-  const urls = [];
-  for (const file of files) {
-    const urlPath = urlPathForFile(file);
-    for (const lang of ['en', 'de', 'el']) {
-      const priority = urlPath === '/' && lang === 'en' ? '1.0' : lang === 'en' ? '0.8' : '0.64';
-      urls.push({ loc: `${siteUrl}${localizedPath(lang, urlPath)}`, priority });
+// Translated pages that are no longer translated routes (an unpublished hotel, a renamed guide,
+// a page since marked translate: false)
+function removeOrphanedPages(lang, routes) {
+  const langDir = path.join(distDir, lang);
+  if (!fs.existsSync(langDir)) return 0;
+  const expected = new Set(routes.map(route => path.join(distDir, localizedFile(lang, route))));
+  const orphans = walkHtmlFiles(langDir).filter(file => !expected.has(file));
+  for (const file of orphans) fs.rmSync(file);
+  return orphans.length;
+}
+
+// English URLs take the lastmod generate.js recorded in the build manifest. A translated URL
+// takes the newer of that and its newest translation (translatedDates[lang][route.path]).
+// Split sitemaps from an earlier, larger run are removed when the sitemap fits in one file again.
+function updateSitemap(routes, pages, translatedDates) {
+  const urls = sitemapUrls(routes, {
+    languagesFor: routeLanguages,
+    lastmod: (route, lang) => {
+      const english = pages[route.file]?.lastmod || today;
+      const translated = translatedDates[lang]?.[route.path];
+      return translated && translated > english ? translated : english;
     }
+  });
+  const sitemaps = buildSitemaps(urls);
+  for (const { file, xml } of sitemaps) writeIfChanged(path.join(distDir, file), xml);
+  const written = new Set(sitemaps.map(({ file }) => file));
+  for (const name of fs.readdirSync(distDir)) {
+    if (/^sitemap-.+\.xml$/.test(name) && !written.has(name)) fs.rmSync(path.join(distDir, name));
   }
-  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${urls.map(u => `  <url>
-    <loc>${u.loc}</loc>
-    <lastmod>${today}</lastmod>
-    <priority>${u.priority}</priority>
-  </url>`).join('\n')}
-</urlset>`;
-  fs.writeFileSync(path.join(distDir, 'sitemap.xml'), sitemap);
 }
 
 async function main() {
-  fs.rmSync(path.join(distDir, 'de'), { recursive: true, force: true });
-  fs.rmSync(path.join(distDir, 'el'), { recursive: true, force: true });
-
-  const files = walkHtmlFiles(distDir);
-  updateEnglishPages(files);
+  // Work from generate.js's route table rather than whatever HTML is lying around in dist/
+  const { pages, routes } = readManifest(manifestFile);
+  if (!routes.length) throw new Error('No routes in .build-manifest.json; run npm run generate first');
+  const translatable = routes.filter(route => route.translate);
+  const translatedPaths = new Set(translatable.map(route => route.path));
+  updateEnglishPages(translatable);
 
   const allStrings = new Set();
-  for (const file of files) collectStrings(fs.readFileSync(file, 'utf8'), allStrings);
+  for (const route of translatable) collectStrings(fs.readFileSync(englishFile(route), 'utf8'), allStrings);
   const strings = [...allStrings].sort((a, b) => a.length - b.length || a.localeCompare(b));
 
-  console.log(`Translating ${strings.length} unique strings across ${files.length} pages with ${model}`);
+  console.log(`Translating ${strings.length} unique strings across ${translatable.length} pages with ${model}`);
 
+  const translatedDates = {};
   for (const lang of Object.keys(languages)) {
     const cache = loadCache(lang);
+    const dates = loadCacheDates(lang);
     const missing = strings.filter(item => !cache[item]);
     const chunks = chunkItems(missing);
     console.log(`${lang}: ${missing.length} missing strings in ${chunks.length} batches`);
@@ -357,21 +379,25 @@ async function main() {
       const translated = await translateItemsSafely(lang, chunks[i]);
       chunks[i].forEach((item, index) => {
         cache[item] = translated[index];
+        dates[item] = today;
       });
       saveCache(lang, cache);
+      saveCacheDates(lang, dates);
     }
 
-    for (const file of files) {
-      const urlPath = urlPathForFile(file);
-      const html = fs.readFileSync(file, 'utf8');
-      const translatedHtml = applyTranslations(html, cache, lang, urlPath);
-      const outFile = localizedFilePath(lang, file);
-      fs.mkdirSync(path.dirname(outFile), { recursive: true });
-      fs.writeFileSync(outFile, translatedHtml);
+    let written = 0;
+    translatedDates[lang] = {};
+    for (const route of translatable) {
+      const html = fs.readFileSync(englishFile(route), 'utf8');
+      translatedDates[lang][route.path] = newestTranslation(html, dates);
+      const translatedHtml = applyTranslations(html, cache, lang, route.path, translatedPaths);
+      if (writeIfChanged(path.join(distDir, localizedFile(lang, route)), translatedHtml)) written += 1;
     }
+    const removed = removeOrphanedPages(lang, translatable);
+    console.log(`${lang}: ${written} pages written, ${translatable.length - written} unchanged, ${removed} removed`);
   }
 
-  updateSitemap(files);
+  updateSitemap(routes, pages, translatedDates);
   console.log('Translation build complete.');
 }
 
@@ -0,0 +1,359 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { computePriceStats, isPublished } from './lib/hotel-stats.js';
+import { loadSchemas, schemaErrors } from './lib/schemas.js';
+import { loadHotelSources } from './lib/load-sources.js';
+import { hotelId } from './lib/hotel-ids.js';
+import { previousPeriod } from './lib/price-history.js';
+import { RANKING_FACTORS } from './lib/ranking.js';
+import { reviewProblems } from './lib/reviews.js';
+import { loadGuides, matchesGuideFilter } from './lib/guides.js';
+import { nearestOfType } from './lib/geo.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, '..');
+const dataDir = path.join(rootDir, 'data');
+const hotelsDir = path.join(dataDir, 'hotels');
+const schemaDir = path.join(dataDir, 'schema');
+const sourcesDir = path.join(dataDir, 'sources');
+const guidesDir = path.join(dataDir, 'guides');
+
+const args = process.argv.slice(2);
+const errors = [];
+
+// Every problem is reported as { file, path, code, message } so CI and editors can parse it.
+// Source files also carry the line and column of the offending value.
+function report(file, pointer, code, message, position = {}) {
+  errors.push({ file: path.relative(rootDir, file), path: pointer, code, message, ...position });
+}
+
+function loadJson(file) {
+  if (!fs.existsSync(file)) {
+    report(file, '', 'missing-file', 'File does not exist');
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    report(file, '', 'invalid-json', e.message);
+    return null;
+  }
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function createValidator(ajv) {
+  return (schemaName, file, data) => {
+    const validate = ajv.getSchema(schemaName);
+    if (validate(data)) return true;
+    for (const error of schemaErrors(validate)) report(file, error.path, 'schema', error.message);
+    return false;
+  };
+}
+
+function checkSources(ajv, neighborhoods) {
+  const { errors: sourceErrors } = loadHotelSources(sourcesDir, {
+    ajv,
+    neighborhoodIds: [...neighborhoods.keys()],
+    idFor: hotel => hotelId(hotel.name, hotel.neighborhood)
+  });
+  for (const error of sourceErrors) {
+    report(error.file, '', 'source', error.message, { line: error.line, column: error.column });
+  }
+}
+
+// Guide files must parse, match the schema and list at least one published hotel, and so must
+// each of their named lists
+function checkGuides(ajv, neighborhoods, ranking, master, pointsOfInterest) {
+  const published = master.hotels.filter(isPublished);
+  const { guides, errors: guideErrors } = loadGuides(guidesDir, {
+    ajv,
+    neighborhoodIds: [...neighborhoods.keys()],
+    profileIds: Array.isArray(ranking?.profiles) ? ranking.profiles.map(profile => profile.id) : [],
+    hotelIds: published.map(hotel => hotel.id)
+  });
+  for (const error of guideErrors) {
+    report(error.file, '', 'guide', error.message, { line: error.line, column: error.column });
+  }
+
+  const context = {
+    neighborhoodsOf: hotel => [hotel.neighborhood, ...(hotel.alsoNear || [])],
+    walkingMinutes: (hotel, type) => nearestOfType(hotel, pointsOfInterest, type)?.minutes ?? null
+  };
+  // Guides without a filter (editorial pages) list no hotels of their own
+  for (const guide of guides) {
+    if (guide.filter && !published.some(hotel => matchesGuideFilter(hotel, guide.filter, context))) {
+      report(guide.file, '/filter', 'empty-guide', `Guide "${guide.slug}" matches no published hotels`);
+    }
+    for (const [name, list] of Object.entries(guide.lists || {})) {
+      if (!published.some(hotel => matchesGuideFilter(hotel, list.filter, context))) {
+        report(guide.file, `/lists/${name}/filter`, 'empty-list', `List "${name}" of guide "${guide.slug}" matches no published hotels`);
+      }
+    }
+  }
+}
+
+function checkNeighborhoods(file, data) {
+  const seen = new Set();
+  data.neighborhoods.forEach((hood, index) => {
+    if (seen.has(hood.id)) report(file, `/neighborhoods/${index}/id`, 'duplicate-id', `Duplicate neighborhood id "${hood.id}"`);
+    seen.add(hood.id);
+  });
+}
+
+function checkPointsOfInterest(file, data) {
+  const seen = new Set();
+  data.pointsOfInterest.forEach((poi, index) => {
+    if (seen.has(poi.id)) report(file, `/pointsOfInterest/${index}/id`, 'duplicate-id', `Duplicate point of interest id "${poi.id}"`);
+    seen.add(poi.id);
+  });
+  (data.metroLines || []).forEach((line, lineIndex) => {
+    line.stations.forEach((id, index) => {
+      const poi = data.pointsOfInterest.find(point => point.id === id);
+      if (!poi || poi.type !== 'metro') report(file, `/metroLines/${lineIndex}/stations/${index}`, 'unknown-station', `No metro station "${id}" in pointsOfInterest`);
+    });
+  });
+}
+
+function checkSeasons(file, data) {
+  const ids = new Set();
+  const monthOwner = new Map();
+  data.seasons.forEach((season, index) => {
+    if (ids.has(season.id)) report(file, `/seasons/${index}/id`, 'duplicate-id', `Duplicate season id "${season.id}"`);
+    ids.add(season.id);
+    for (const month of season.months) {
+      if (monthOwner.has(month)) report(file, `/seasons/${index}/months`, 'overlapping-season', `Month ${month} is also in season "${monthOwner.get(month)}"`);
+      monthOwner.set(month, season.id);
+    }
+  });
+  for (let month = 1; month <= 12; month++) {
+    if (!monthOwner.has(month)) report(file, '/seasons', 'missing-month', `Month ${month} is not in any season`);
+  }
+}
+
+// Profile weights can only use factors scripts/lib/ranking.js knows how to compute
+function checkRanking(file, data) {
+  const ids = new Set();
+  data.profiles.forEach((profile, index) => {
+    if (ids.has(profile.id)) report(file, `/profiles/${index}/id`, 'duplicate-id', `Duplicate profile id "${profile.id}"`);
+    ids.add(profile.id);
+    for (const factor of Object.keys(profile.weights)) {
+      if (!RANKING_FACTORS[factor]) {
+        report(file, `/profiles/${index}/weights/${factor}`, 'unknown-factor', `Unknown ranking factor "${factor}" (known: ${Object.keys(RANKING_FACTORS).join(', ')})`);
+      }
+    }
+  });
+  if (!ids.has(data.defaultProfile)) report(file, '/defaultProfile', 'unknown-profile', `No profile "${data.defaultProfile}" in profiles`);
+}
+
+// Seasonal rates must cover every configured season, and pricePerNight is the lowest of them
+function checkSeasonalPrices(file, pointer, hotel, seasons) {
+  if (!hotel.seasonalPrices) return;
+  const seasonIds = new Set(seasons.map(season => season.id));
+  for (const id of Object.keys(hotel.seasonalPrices)) {
+    if (!seasonIds.has(id)) report(file, `${pointer}/seasonalPrices/${id}`, 'unknown-season', `Unknown season "${id}" (see data/seasons.json)`);
+  }
+  for (const id of seasonIds) {
+    if (!(id in hotel.seasonalPrices)) report(file, `${pointer}/seasonalPrices`, 'missing-season', `No rate for season "${id}"`);
+  }
+  const lowest = Math.min(...Object.values(hotel.seasonalPrices));
+  if (hotel.pricePerNight !== lowest) {
+    report(file, `${pointer}/pricePerNight`, 'price-mismatch', `pricePerNight is €${hotel.pricePerNight} but the lowest seasonal rate is €${lowest}`);
+  }
+}
+
+function checkHotels(file, hotels, neighborhoods, seasons) {
+  const ids = new Map();
+  const slugs = new Map();
+
+  hotels.forEach((hotel, index) => {
+    const pointer = `/hotels/${index}`;
+    if (ids.has(hotel.id)) report(file, `${pointer}/id`, 'duplicate-id', `Hotel id "${hotel.id}" is also used at /hotels/${ids.get(hotel.id)}`);
+    ids.set(hotel.id, index);
+    // Only published hotels get a page, so unreviewed candidates don't claim their slug yet
+    if (isPublished(hotel)) {
+      if (slugs.has(hotel.slug)) report(file, `${pointer}/slug`, 'duplicate-slug', `Slug "${hotel.slug}" is also used at /hotels/${slugs.get(hotel.slug)}`);
+      slugs.set(hotel.slug, index);
+    }
+
+    const hood = neighborhoods.get(hotel.neighborhood);
+    if (!hood) {
+      report(file, `${pointer}/neighborhood`, 'unknown-neighborhood', `Unknown neighborhood "${hotel.neighborhood}"`);
+    } else if (hotel.neighborhoodName !== hood.name) {
+      report(file, `${pointer}/neighborhoodName`, 'neighborhood-mismatch', `Expected "${hood.name}" for neighborhood "${hood.id}", found "${hotel.neighborhoodName}"`);
+    }
+    (hotel.alsoNear || []).forEach((id, nearIndex) => {
+      if (!neighborhoods.has(id)) report(file, `${pointer}/alsoNear/${nearIndex}`, 'unknown-neighborhood', `Unknown neighborhood "${id}"`);
+      if (id === hotel.neighborhood) report(file, `${pointer}/alsoNear/${nearIndex}`, 'redundant-neighborhood', `"${id}" is already the primary neighborhood`);
+    });
+    checkSeasonalPrices(file, pointer, hotel, seasons);
+  });
+}
+
+function checkTotals(file, master, history) {
+  const expected = computePriceStats(master.hotels, history && previousPeriod(history));
+  if (master.totalHotels !== expected.totalHotels) {
+    report(file, '/totalHotels', 'total-mismatch', `totalHotels is ${master.totalHotels} but ${expected.totalHotels} hotels are published`);
+  }
+  if (master.avgPrice !== expected.avgPrice) {
+    report(file, '/avgPrice', 'total-mismatch', `avgPrice is ${master.avgPrice} but published hotels average ${expected.avgPrice}`);
+  }
+  for (const [band, stats] of Object.entries(expected.priceStats)) {
+    if (!isEqual(master.priceStats?.[band], stats)) {
+      report(file, `/priceStats/${band}`, 'price-stats-mismatch', `Expected ${JSON.stringify(stats)}, found ${JSON.stringify(master.priceStats?.[band])}`);
+    }
+  }
+}
+
+// The latest observation of every published hotel and of the site index should match the current
+// data. Removed hotels keep their history, so ids missing from all-hotels.json are not an error.
+function checkPriceHistory(file, history, master) {
+  master.hotels.forEach((hotel, index) => {
+    if (!isPublished(hotel)) return;
+    const observations = history.hotels[hotel.id];
+    if (!observations) {
+      report(file, `/hotels`, 'missing-price-history', `No price observations for "${hotel.id}"`);
+    } else if (observations[observations.length - 1].price !== hotel.pricePerNight) {
+      report(file, `/hotels/${hotel.id}`, 'price-mismatch', `Latest observation is €${observations[observations.length - 1].price} but /hotels/${index} has €${hotel.pricePerNight}`);
+    }
+  });
+  const latest = history.index[history.index.length - 1];
+  if (latest && latest.avgPrice !== master.avgPrice) {
+    report(file, `/index/${history.index.length - 1}/avgPrice`, 'total-mismatch', `Latest index average is €${latest.avgPrice} but all-hotels.json has €${master.avgPrice}`);
+  }
+}
+
+// Review entries must belong to a hotel in all-hotels.json and a listed source, one per source,
+// with scores inside their scale and dates that have already happened
+function checkReviews(file, data, master) {
+  const today = new Date().toISOString().split('T')[0];
+  for (const problem of reviewProblems(data, { hotelIds: master.hotels.map(hotel => hotel.id), today })) {
+    report(file, problem.path, problem.code, problem.message);
+  }
+}
+
+// Pre-rendered compare pages can only show published hotels
+function checkComparisons(file, data, master) {
+  const published = new Set(master.hotels.filter(isPublished).map(hotel => hotel.id));
+  data.comparisons.forEach((ids, index) => {
+    ids.forEach((id, position) => {
+      if (!published.has(id)) report(file, `/comparisons/${index}/${position}`, 'unknown-hotel', `No published hotel "${id}" in data/all-hotels.json`);
+    });
+  });
+}
+
+function checkNeighborhoodFiles(master, neighborhoods, validate) {
+  const masterById = new Map(master.hotels.map(hotel => [hotel.id, hotel]));
+  const listed = new Set();
+
+  for (const hood of neighborhoods.values()) {
+    const file = path.join(hotelsDir, `${hood.id}.json`);
+    const data = loadJson(file);
+    if (!data) continue;
+    validate('neighborhood-hotels.schema.json', file, data);
+    if (!Array.isArray(data.hotels)) continue;
+
+    for (const [field, value] of Object.entries(hood)) {
+      if (!isEqual(data[field], value)) report(file, `/${field}`, 'neighborhood-mismatch', `Differs from data/neighborhoods.json`);
+    }
+    if (data.hotelCount !== data.hotels.length) {
+      report(file, '/hotelCount', 'total-mismatch', `hotelCount is ${data.hotelCount} but the file lists ${data.hotels.length} hotels`);
+    }
+
+    data.hotels.forEach((hotel, index) => {
+      const pointer = `/hotels/${index}`;
+      listed.add(hotel.id);
+      if (hotel.neighborhood !== hood.id) {
+        report(file, `${pointer}/neighborhood`, 'wrong-file', `Hotel "${hotel.id}" belongs in data/hotels/${hotel.neighborhood}.json`);
+      }
+      const masterHotel = masterById.get(hotel.id);
+      if (!masterHotel) {
+        report(file, `${pointer}/id`, 'missing-from-master', `Hotel "${hotel.id}" is not in data/all-hotels.json`);
+      } else if (!isEqual(hotel, masterHotel)) {
+        const fields = [...new Set([...Object.keys(hotel), ...Object.keys(masterHotel)])].filter(field => !isEqual(hotel[field], masterHotel[field]));
+        report(file, pointer, 'master-mismatch', `Hotel "${hotel.id}" differs from data/all-hotels.json in: ${fields.join(', ')}`);
+      }
+    });
+  }
+
+  const masterFile = path.join(dataDir, 'all-hotels.json');
+  master.hotels.forEach((hotel, index) => {
+    if (!listed.has(hotel.id) && neighborhoods.has(hotel.neighborhood)) {
+      report(masterFile, `/hotels/${index}`, 'missing-from-neighborhood', `Hotel "${hotel.id}" is not listed in data/hotels/${hotel.neighborhood}.json`);
+    }
+  });
+
+  for (const name of fs.existsSync(hotelsDir) ? fs.readdirSync(hotelsDir) : []) {
+    if (name.endsWith('.json') && !neighborhoods.has(path.basename(name, '.json'))) {
+      report(path.join(hotelsDir, name), '', 'unknown-neighborhood', `No neighborhood "${path.basename(name, '.json')}" in data/neighborhoods.json`);
+    }
+  }
+}
+
+function validateData() {
+  const ajv = loadSchemas(schemaDir);
+  const validate = createValidator(ajv);
+
+  const neighborhoodsFile = path.join(dataDir, 'neighborhoods.json');
+  const neighborhoodsData = loadJson(neighborhoodsFile);
+  if (!neighborhoodsData || !validate('neighborhoods.schema.json', neighborhoodsFile, neighborhoodsData)) return;
+  checkNeighborhoods(neighborhoodsFile, neighborhoodsData);
+  const neighborhoods = new Map(neighborhoodsData.neighborhoods.map(hood => [hood.id, hood]));
+  checkSources(ajv, neighborhoods);
+
+  const poiFile = path.join(dataDir, 'points-of-interest.json');
+  const poiData = loadJson(poiFile);
+  if (poiData && validate('points-of-interest.schema.json', poiFile, poiData)) checkPointsOfInterest(poiFile, poiData);
+
+  const seasonsFile = path.join(dataDir, 'seasons.json');
+  const seasonsData = loadJson(seasonsFile);
+  if (!seasonsData || !validate('seasons.schema.json', seasonsFile, seasonsData)) return;
+  checkSeasons(seasonsFile, seasonsData);
+
+  const rankingFile = path.join(dataDir, 'ranking.json');
+  const ranking = loadJson(rankingFile);
+  if (ranking && validate('ranking.schema.json', rankingFile, ranking)) checkRanking(rankingFile, ranking);
+
+  const masterFile = path.join(dataDir, 'all-hotels.json');
+  const master = loadJson(masterFile);
+  if (!master) return;
+  validate('all-hotels.schema.json', masterFile, master);
+  // Keep going after schema errors so one run reports every cross-file problem too
+  if (!Array.isArray(master.hotels)) return;
+  checkHotels(masterFile, master.hotels, neighborhoods, seasonsData.seasons);
+
+  const historyFile = path.join(dataDir, 'price-history.json');
+  const history = loadJson(historyFile);
+  const historyValid = history && validate('price-history.schema.json', historyFile, history);
+  if (historyValid) checkPriceHistory(historyFile, history, master);
+
+  const reviewsFile = path.join(dataDir, 'reviews.json');
+  const reviews = loadJson(reviewsFile);
+  if (reviews && validate('reviews.schema.json', reviewsFile, reviews)) checkReviews(reviewsFile, reviews, master);
+  checkGuides(ajv, neighborhoods, ranking, master, poiData?.pointsOfInterest || []);
+  checkTotals(masterFile, master, historyValid ? history : null);
+
+  const comparisonsFile = path.join(dataDir, 'popular-comparisons.json');
+  const comparisons = loadJson(comparisonsFile);
+  if (comparisons && validate('popular-comparisons.schema.json', comparisonsFile, comparisons)) checkComparisons(comparisonsFile, comparisons, master);
+  checkNeighborhoodFiles(master, neighborhoods, validate);
+}
+
+validateData();
+
+if (args.includes('--json')) {
+  console.log(JSON.stringify({ valid: errors.length === 0, errors }, null, 2));
+} else if (errors.length) {
+  for (const error of errors) {
+    const location = error.line ? `:${error.line}:${error.column}` : error.path ? `#${error.path}` : '';
+    console.error(`${error.file}${location}  [${error.code}] ${error.message}`);
+  }
+  console.error(`\n❌ ${errors.length} data error${errors.length === 1 ? '' : 's'} found.`);
+} else {
+  console.log('✅ Data is valid.');
+}
+
+process.exit(errors.length ? 1 : 0);